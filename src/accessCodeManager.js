@@ -0,0 +1,497 @@
+'use strict';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Keep Seam access codes in line with the accessCodes section of each device config
+ * Codes are matched by PIN, so renaming a code or changing its schedule updates it in place.
+ * Codes created or matched here are remembered, removing them from the config deletes them again.
+ * Recurring weekly windows become time-bound Seam codes ahead of time and roll forward as they expire.
+ */
+class AccessCodeManager {
+  constructor(platform) {
+    this.platform = platform;
+    this.config = platform.config.accessCodes || {};
+    this.interval = null;
+    this.runPromise = null;
+
+    // Access code IDs managed through the config, per device
+    const saved = platform.readStorageFile('access-codes.json') || {};
+    this.managedCodeIds = saved.devices || {};
+  }
+
+  /**
+   * Debug logging helper - checks plugin debug setting
+   */
+  debugLog(message, ...args) {
+    if (this.platform.config.debug) {
+      this.platform.log.info(`[DEBUG] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Start periodic reconciliation so time-bound codes roll forward and expired ones are removed
+   */
+  start() {
+    const minutes = this.config.interval ?? 60;
+    const hasSchedules = this.platform.accessories.some(accessory => (accessory.config.accessCodes?.codes || [])
+      .some(entry => entry && (entry.startsAt || entry.endsAt || entry.recurring)));
+
+    if (!minutes || !hasSchedules) {
+      this.debugLog('Periodic access code reconciliation disabled (no schedules or interval is 0)');
+      return;
+    }
+
+    this.stop();
+    this.interval = setInterval(() => {
+      this.reconcileAll();
+    }, minutes * 60 * 1000);
+
+    this.debugLog(`Access codes will be reconciled every ${minutes} minute(s)`);
+  }
+
+  /**
+   * Stop periodic reconciliation
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Reconcile access codes of every accessory that has an accessCodes section
+   * Concurrent calls share the running pass
+   */
+  reconcileAll() {
+    if (!this.runPromise) {
+      this.runPromise = this.reconcileAccessories().finally(() => {
+        this.runPromise = null;
+      });
+    }
+
+    return this.runPromise;
+  }
+
+  /**
+   * Reconcile accessories one after another
+   */
+  async reconcileAccessories() {
+    const accessories = this.platform.accessories.filter(accessory => accessory.config.accessCodes);
+
+    for (const accessory of accessories) {
+      try {
+        await this.reconcile(accessory);
+      } catch (error) {
+        this.platform.log.error(`[ACCESS CODES] Failed to reconcile access codes for ${accessory.name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Reconcile the access codes of one lock and log a summary diff
+   */
+  async reconcile(accessory) {
+    const config = accessory.config.accessCodes || {};
+    const desired = this.getDesiredCodes(accessory);
+    const existing = await this.platform.seamAPI.listAccessCodes(accessory.deviceId);
+    const managedIds = new Set(this.managedCodeIds[accessory.deviceId] || []);
+    const summary = { created: 0, updated: 0, deleted: 0, unchanged: 0, unmanaged: 0, failed: 0 };
+
+    this.debugLog(`${accessory.name} has ${existing.length} access code(s) in Seam, ${desired.length} configured`);
+
+    const createdIds = new Set();
+    const now = Date.now();
+
+    // Expired codes are never reused, they are cleaned up with the leftovers below
+    const available = existing.filter(accessCode => !this.isExpired(accessCode, now));
+
+    // Exact matches first, so recurring windows sharing a PIN keep their own codes
+    const pairs = desired.map(code => ({ code, match: null }));
+    for (const pair of pairs) {
+      pair.match = this.takeMatch(available, pair.code, true);
+    }
+    for (const pair of pairs) {
+      pair.match = pair.match || this.takeMatch(available, pair.code, false);
+    }
+
+    const matchedIds = new Set(pairs.filter(pair => pair.match).map(pair => pair.match.access_code_id));
+    const remaining = existing.filter(accessCode => !matchedIds.has(accessCode.access_code_id));
+
+    for (const { code, match } of pairs) {
+      try {
+        if (!match) {
+          const created = await this.platform.seamAPI.createAccessCode(accessory.deviceId, this.toSeamParams(code));
+          if (created?.access_code_id) {
+            managedIds.add(created.access_code_id);
+            createdIds.add(created.access_code_id);
+          }
+          this.platform.log.info(`[ACCESS CODES] ${accessory.name}: + ${code.name}${this.describeSchedule(code)}`);
+          summary.created++;
+          continue;
+        }
+
+        managedIds.add(match.access_code_id);
+
+        const changes = this.getChanges(match, code);
+        if (changes.length === 0) {
+          summary.unchanged++;
+          continue;
+        }
+
+        await this.platform.seamAPI.updateAccessCode(match.access_code_id, this.toSeamParams(code, true));
+        this.platform.log.info(`[ACCESS CODES] ${accessory.name}: ~ ${code.name} (${changes.join(', ')})`);
+        summary.updated++;
+      } catch (error) {
+        this.platform.log.error(`[ACCESS CODES] ${accessory.name}: failed to apply ${code.name}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    // Codes left over expired, were removed from the config (ours) or never configured (unmanaged)
+    for (const code of remaining) {
+      const isManaged = managedIds.has(code.access_code_id);
+
+      if (!isManaged && !config.deleteUnmanaged) {
+        this.debugLog(`${accessory.name} keeping unmanaged access code ${code.name || code.access_code_id}`);
+        summary.unmanaged++;
+        continue;
+      }
+
+      try {
+        await this.platform.seamAPI.deleteAccessCode(code.access_code_id);
+        managedIds.delete(code.access_code_id);
+        const reason = !isManaged ? ' (unmanaged)' : this.isExpired(code, now) ? ' (expired)' : '';
+        this.platform.log.info(`[ACCESS CODES] ${accessory.name}: - ${code.name || code.access_code_id}${reason}`);
+        summary.deleted++;
+      } catch (error) {
+        this.platform.log.error(`[ACCESS CODES] ${accessory.name}: failed to delete ${code.name || code.access_code_id}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    // Forget codes that no longer exist in Seam
+    const existingIds = new Set(existing.map(code => code.access_code_id));
+    for (const accessCodeId of managedIds) {
+      if (!existingIds.has(accessCodeId) && !createdIds.has(accessCodeId)) {
+        managedIds.delete(accessCodeId);
+      }
+    }
+
+    this.managedCodeIds[accessory.deviceId] = Array.from(managedIds);
+    this.save();
+
+    const parts = [`${summary.created} created`, `${summary.updated} updated`, `${summary.deleted} deleted`, `${summary.unchanged} unchanged`];
+    if (summary.unmanaged) {
+      parts.push(`${summary.unmanaged} unmanaged kept`);
+    }
+    if (summary.failed) {
+      parts.push(`${summary.failed} failed`);
+    }
+
+    // Periodic runs only log when something changed
+    if (summary.created || summary.updated || summary.deleted || summary.failed || !this.interval) {
+      this.platform.log.info(`[ACCESS CODES] ${accessory.name}: ${parts.join(', ')}`);
+    } else {
+      this.debugLog(`[ACCESS CODES] ${accessory.name}: ${parts.join(', ')}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Codes configured for a lock, invalid entries are logged and skipped
+   * Recurring entries expand into one code per upcoming window, expired windows are left out
+   */
+  getDesiredCodes(accessory) {
+    const entries = accessory.config.accessCodes?.codes || [];
+    const timezone = this.getTimezone(accessory);
+    const now = Date.now();
+    const codes = [];
+
+    for (const entry of entries) {
+      if (!entry || !entry.name || !/^\d{4,8}$/.test(String(entry.code || ''))) {
+        this.platform.log.warn(`[ACCESS CODES] ${accessory.name}: skipping access code ${entry?.name || '(no name)'}, a name and a 4-8 digit code are required`);
+        continue;
+      }
+
+      if (entry.recurring) {
+        const windows = this.getRecurringWindows(accessory, entry, timezone, now);
+        for (const window of windows) {
+          codes.push({ name: `${entry.name} ${this.formatLocalDate(window.startsAt, timezone)}`, code: String(entry.code), startsAt: window.startsAt, endsAt: window.endsAt });
+        }
+        continue;
+      }
+
+      const code = { name: entry.name, code: String(entry.code), startsAt: null, endsAt: null };
+
+      if (entry.startsAt || entry.endsAt) {
+        const startsAt = this.parseTime(entry.startsAt, timezone);
+        const endsAt = this.parseTime(entry.endsAt, timezone);
+
+        if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+          this.platform.log.warn(`[ACCESS CODES] ${accessory.name}: skipping access code ${entry.name}, startsAt and endsAt must both be valid dates with endsAt after startsAt`);
+          continue;
+        }
+
+        if (endsAt <= now) {
+          this.debugLog(`${accessory.name} access code ${entry.name} expired, not keeping it`);
+          continue;
+        }
+
+        code.startsAt = startsAt;
+        code.endsAt = endsAt;
+      }
+
+      codes.push(code);
+    }
+
+    return this.withoutOverlaps(accessory, codes);
+  }
+
+  /**
+   * Skip codes that share a PIN with an earlier code at an overlapping time, Seam rejects them
+   * Codes without a schedule are valid all the time and overlap every code with the same PIN
+   */
+  withoutOverlaps(accessory, codes) {
+    const accepted = [];
+
+    for (const code of codes) {
+      const conflict = accepted.find(other => other.code === code.code &&
+        (other.startsAt ?? -Infinity) < (code.endsAt ?? Infinity) &&
+        (code.startsAt ?? -Infinity) < (other.endsAt ?? Infinity));
+
+      if (conflict) {
+        this.platform.log.warn(`[ACCESS CODES] ${accessory.name}: skipping access code ${code.name}, its PIN is already used by ${conflict.name} at an overlapping time`);
+        continue;
+      }
+
+      accepted.push(code);
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Upcoming windows of a recurring entry: the current one and those starting within the lookahead
+   * recurring: { days: ['mon', 'thu'], startTime: '09:00', endTime: '12:00' }, windows ending at or
+   * before their start time end on the next day
+   */
+  getRecurringWindows(accessory, entry, timezone, now) {
+    const recurring = entry.recurring;
+    const days = (recurring.days || []).map(day => DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase()));
+    const start = this.parseClockTime(recurring.startTime);
+    const end = this.parseClockTime(recurring.endTime);
+
+    if (days.length === 0 || days.includes(-1) || !start || !end) {
+      this.platform.log.warn(`[ACCESS CODES] ${accessory.name}: skipping access code ${entry.name}, recurring needs days (mon-sun) and startTime/endTime as HH:MM (00:00-23:59)`);
+      return [];
+    }
+
+    const lookahead = (this.config.lookahead ?? 2) * 24 * 60 * 60 * 1000; // Days to milliseconds
+    const today = this.getLocalDate(now, timezone);
+    const windows = [];
+
+    // Start a day back for windows running over midnight
+    for (let offset = -1; offset * 24 * 60 * 60 * 1000 <= lookahead; offset++) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      if (!days.includes(date.getUTCDay())) {
+        continue;
+      }
+
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth() + 1;
+      const day = date.getUTCDate();
+      const startsAt = this.localToTimestamp(year, month, day, start.hour, start.minute, 0, timezone);
+      const endDay = (end.hour * 60 + end.minute) <= (start.hour * 60 + start.minute) ? day + 1 : day;
+      const endsAt = this.localToTimestamp(year, month, endDay, end.hour, end.minute, 0, timezone);
+
+      if (endsAt > now && startsAt <= now + lookahead) {
+        windows.push({ startsAt, endsAt });
+      }
+    }
+
+    return windows;
+  }
+
+  /**
+   * Parse a time of day (HH:MM), null unless it is between 00:00 and 23:59
+   */
+  parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    const hour = match ? Number(match[1]) : NaN;
+    const minute = match ? Number(match[2]) : NaN;
+
+    return hour <= 23 && minute <= 59 ? { hour, minute } : null;
+  }
+
+  /**
+   * Timezone for schedules: per-device setting, platform setting or the Homebridge host timezone
+   */
+  getTimezone(accessory) {
+    const timezone = accessory.config.accessCodes?.timezone || this.config.timezone;
+    const hostTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    if (!timezone) {
+      return hostTimezone;
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      this.platform.log.warn(`[ACCESS CODES] ${accessory.name}: unknown timezone ${timezone}, using ${hostTimezone}`);
+      return hostTimezone;
+    }
+  }
+
+  /**
+   * Parse a schedule time, times without an offset (2025-07-01T15:00 or 2025-07-01T15:00:30) are local to the timezone
+   */
+  parseTime(value, timezone) {
+    const local = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value || ''));
+
+    if (local) {
+      return this.localToTimestamp(Number(local[1]), Number(local[2]), Number(local[3]), Number(local[4] || 0), Number(local[5] || 0), Number(local[6] || 0), timezone);
+    }
+
+    return value ? new Date(value).getTime() : NaN;
+  }
+
+  /**
+   * Date and time parts of a timestamp in a timezone
+   */
+  getLocalDate(timestamp, timezone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    for (const part of formatter.formatToParts(new Date(timestamp))) {
+      parts[part.type] = Number(part.value);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Convert a wall clock time in a timezone to a timestamp
+   */
+  localToTimestamp(year, month, day, hour, minute, second, timezone) {
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offsetAt = (timestamp) => {
+      const local = this.getLocalDate(timestamp, timezone);
+      return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - Math.floor(timestamp / 1000) * 1000;
+    };
+
+    // Second pass picks up a DST change between the guess and the result
+    const guess = wallTime - offsetAt(wallTime);
+    return wallTime - offsetAt(guess);
+  }
+
+  /**
+   * Local date (YYYY-MM-DD) of a timestamp, used to name recurring windows
+   */
+  formatLocalDate(timestamp, timezone) {
+    const local = this.getLocalDate(timestamp, timezone);
+    return `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Check if a Seam access code is time-bound and past its end
+   */
+  isExpired(accessCode, now) {
+    return Boolean(accessCode.ends_at) && new Date(accessCode.ends_at).getTime() <= now;
+  }
+
+  /**
+   * Take the Seam access code for a configured code out of the available list
+   * Same PIN and schedule when exact, otherwise any code with the same PIN
+   */
+  takeMatch(available, code, exact) {
+    const match = available.find(accessCode => String(accessCode.code) === code.code &&
+      (!exact || this.isSameSchedule(accessCode, code)));
+
+    if (match) {
+      available.splice(available.indexOf(match), 1);
+    }
+
+    return match || null;
+  }
+
+  /**
+   * Check if a Seam access code has the schedule of a configured code
+   */
+  isSameSchedule(accessCode, code) {
+    const toTime = (value) => value ? new Date(value).getTime() : null;
+    return toTime(accessCode.starts_at) === code.startsAt && toTime(accessCode.ends_at) === code.endsAt;
+  }
+
+  /**
+   * List what differs between a Seam access code and a configured code
+   */
+  getChanges(accessCode, code) {
+    const changes = [];
+
+    if (accessCode.name !== code.name) {
+      changes.push('name');
+    }
+
+    if (!this.isSameSchedule(accessCode, code)) {
+      changes.push('schedule');
+    }
+
+    return changes;
+  }
+
+  /**
+   * Seam create/update parameters for a configured code
+   * Updates switch time-bound codes back to ongoing explicitly
+   */
+  toSeamParams(code, isUpdate = false) {
+    if (code.startsAt === null) {
+      return isUpdate ? { name: code.name, code: code.code, type: 'ongoing' } : { name: code.name, code: code.code };
+    }
+
+    return {
+      name: code.name,
+      code: code.code,
+      starts_at: new Date(code.startsAt).toISOString(),
+      ends_at: new Date(code.endsAt).toISOString()
+    };
+  }
+
+  /**
+   * Human readable schedule for log lines
+   */
+  describeSchedule(code) {
+    if (code.startsAt === null) {
+      return '';
+    }
+
+    return ` (${new Date(code.startsAt).toISOString()} → ${new Date(code.endsAt).toISOString()})`;
+  }
+
+  /**
+   * Save access code IDs managed through the config
+   */
+  save() {
+    try {
+      this.platform.writeStorageFile('access-codes.json', {
+        devices: this.managedCodeIds
+      });
+    } catch (error) {
+      this.platform.log.error('Failed to save access code state:', error.message);
+    }
+  }
+}
+
+module.exports = AccessCodeManager;
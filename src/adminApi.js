@@ -0,0 +1,239 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Local admin API for scripts and NFC tags, protected by a bearer token
+ * Runs on the webhook server, or on its own server when a port is configured
+ *   GET  /devices             current state of every lock
+ *   POST /devices/:id/lock    lock a device (same path as a HomeKit command)
+ *   POST /devices/:id/unlock  unlock a device
+ *   POST /poll                poll all devices now
+ *   POST /webhook/rotate      replace the webhook registration with a new path and secret
+ */
+class AdminApi {
+  constructor(platform, config) {
+    this.platform = platform;
+    this.config = config || {};
+    this.server = null;
+    this.port = this.config.port || null; // Shares the webhook server unless set
+    this.bindAddress = this.config.bindAddress || '127.0.0.1'; // Own server is local only unless set
+    this.tokenHash = this.config.token ? this.hashToken(this.config.token) : null;
+  }
+
+  /**
+   * Debug logging helper - checks plugin debug setting
+   */
+  debugLog(message, ...args) {
+    if (this.platform.config.debug) {
+      this.platform.log.info(`[DEBUG] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Start the admin API (own server only when a port is configured)
+   */
+  async start() {
+    if (!this.tokenHash) {
+      this.platform.log.error('Admin API token is required, admin API disabled');
+      return false;
+    }
+
+    if (!this.port) {
+      if (!this.platform.webhookServer?.server) {
+        this.platform.log.error('Admin API needs its own port when the webhook server is not running, admin API disabled');
+        return false;
+      }
+      this.platform.log.info('Admin API available on the webhook server');
+      return true;
+    }
+
+    this.server = http.createServer((req, res) => {
+      if (!this.handleRequest(req, res)) {
+        this.sendJson(res, 404, { error: 'Not Found' });
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.bindAddress, () => {
+          this.server.removeListener('error', reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      this.platform.log.error(`Failed to start Admin API on port ${this.port}:`, error.message);
+      this.server = null;
+      return false;
+    }
+
+    this.platform.log.info(`Admin API started on ${this.bindAddress}:${this.port}`);
+    return true;
+  }
+
+  /**
+   * Stop the own server (if any)
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise((resolve) => {
+        this.server.close(() => {
+          this.platform.log.info('Admin API stopped');
+          resolve();
+        });
+      });
+
+      this.server = null;
+    }
+  }
+
+  /**
+   * Handle a request if it is an admin API route, returns false otherwise
+   */
+  handleRequest(req, res) {
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch (error) {
+      req.resume();
+      this.sendJson(res, 400, { error: 'Bad Request' });
+      return true;
+    }
+
+    const deviceMatch = pathname.match(/^\/devices\/([^/]+)\/(lock|unlock)$/);
+
+    if (pathname !== '/devices' && pathname !== '/poll' && pathname !== '/webhook/rotate' && !deviceMatch) {
+      return false;
+    }
+
+    this.debugLog(`Admin API request: ${req.method} ${pathname} from ${req.socket.remoteAddress}`);
+
+    // Request bodies are not used
+    req.resume();
+
+    if (!this.isAuthorized(req.headers)) {
+      this.platform.log.warn(`[ADMIN API] Unauthorized ${req.method} ${pathname} from ${req.socket.remoteAddress}`);
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this.sendJson(res, 401, { error: 'Unauthorized' });
+      return true;
+    }
+
+    const expectedMethod = pathname === '/devices' ? 'GET' : 'POST';
+    if (req.method !== expectedMethod) {
+      res.setHeader('Allow', expectedMethod);
+      this.sendJson(res, 405, { error: 'Method Not Allowed' });
+      return true;
+    }
+
+    let handler;
+    if (deviceMatch) {
+      let deviceId;
+      try {
+        deviceId = decodeURIComponent(deviceMatch[1]);
+      } catch (error) {
+        this.sendJson(res, 400, { error: 'Invalid device ID' });
+        return true;
+      }
+      handler = this.handleLockCommand(deviceId, deviceMatch[2] === 'lock');
+    } else if (pathname === '/poll') {
+      handler = this.handlePoll();
+    } else if (pathname === '/webhook/rotate') {
+      handler = this.handleRotateWebhook();
+    } else {
+      handler = Promise.resolve({ status: 200, body: { devices: this.getDevices() } });
+    }
+
+    handler
+      .then(({ status, body }) => this.sendJson(res, status, body))
+      .catch((error) => {
+        this.platform.log.error(`[ADMIN API] ${req.method} ${pathname} failed:`, error.message);
+        this.sendJson(res, 500, { error: 'Internal Server Error' });
+      });
+
+    return true;
+  }
+
+  /**
+   * Check the bearer token (constant time)
+   */
+  isAuthorized(headers) {
+    const match = (headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return Boolean(match) && crypto.timingSafeEqual(this.hashToken(match[1].trim()), this.tokenHash);
+  }
+
+  /**
+   * Hash a token so tokens of different lengths compare in constant time
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+  }
+
+  /**
+   * Current state of every lock
+   */
+  getDevices() {
+    return this.platform.accessories.map(accessory => accessory.getStatus());
+  }
+
+  /**
+   * Lock or unlock a device through the same path as a HomeKit command
+   */
+  async handleLockCommand(deviceId, shouldLock) {
+    const accessory = this.platform.accessories.find(acc => acc.deviceId === deviceId);
+
+    if (!accessory) {
+      return { status: 404, body: { error: `Unknown device ${deviceId}` } };
+    }
+
+    this.platform.log.info(`[ADMIN API] ${shouldLock ? 'Lock' : 'Unlock'} requested for ${accessory.name}`);
+
+    const TargetState = this.platform.api.hap.Characteristic.LockTargetState;
+    try {
+      await accessory.setLockTargetState(shouldLock ? TargetState.SECURED : TargetState.UNSECURED, 'admin-api');
+    } catch (error) {
+      return { status: 502, body: { error: `Failed to ${shouldLock ? 'lock' : 'unlock'} ${accessory.name}` } };
+    }
+
+    // Accepted by Seam, the result arrives like any other command result
+    return { status: 202, body: accessory.getStatus() };
+  }
+
+  /**
+   * Poll all devices now
+   */
+  async handlePoll() {
+    this.platform.log.info('[ADMIN API] Poll requested');
+    await this.platform.pollDevices();
+    return { status: 200, body: { devices: this.getDevices() } };
+  }
+
+  /**
+   * Replace the webhook registration on demand
+   */
+  async handleRotateWebhook() {
+    const webhookServer = this.platform.webhookServer;
+
+    if (!webhookServer?.server) {
+      return { status: 409, body: { error: 'Webhooks are not enabled' } };
+    }
+
+    this.platform.log.info('[ADMIN API] Webhook rotation requested');
+    if (!await webhookServer.rotateWebhook()) {
+      return { status: 502, body: { error: 'Failed to register the new webhook with Seam' } };
+    }
+
+    return { status: 200, body: { webhookId: webhookServer.webhookId } };
+  }
+
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = AdminApi;
@@ -0,0 +1,202 @@
+'use strict';
+
+// Re-read this much history before the saved cursor, Seam may list events a little late
+const CURSOR_OVERLAP = 5 * 60 * 1000; // 5 minutes
+
+// Never replay more than this much history (e.g. after a long shutdown)
+const MAX_CATCH_UP_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+// Events requested per page and maximum pages per run
+const PAGE_SIZE = 500;
+const MAX_PAGES = 10;
+
+// Number of processed event IDs remembered (and saved) for de-duplication, two full runs
+const MAX_PROCESSED_EVENT_IDS = PAGE_SIZE * MAX_PAGES * 2;
+
+/**
+ * Catch up on Seam events missed while Homebridge was down or webhooks were not delivered
+ * Missed events are replayed through WebhookServer.processWebhook
+ */
+class EventCatchUp {
+  constructor(platform, config) {
+    this.platform = platform;
+    this.config = config || {};
+    this.interval = null;
+    this.runPromise = null;
+
+    // Restore cursor and processed event IDs from the last run
+    const saved = platform.readStorageFile('events.json') || {};
+    this.cursor = saved.cursor ? new Date(saved.cursor).getTime() : null;
+    this.processedEventIds = new Map((saved.processedEventIds || []).map(eventId => [eventId, true]));
+  }
+
+  /**
+   * Debug logging helper - checks plugin debug setting
+   */
+  debugLog(message, ...args) {
+    if (this.platform.config.debug) {
+      this.platform.log.info(`[DEBUG] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Start periodic catch-up runs
+   */
+  start() {
+    const minutes = this.config.catchUpInterval ?? 15;
+
+    if (!minutes) {
+      this.debugLog('Periodic event catch-up disabled');
+      return;
+    }
+
+    this.stop();
+    this.interval = setInterval(() => {
+      this.run('periodic check');
+    }, minutes * 60 * 1000);
+
+    this.debugLog(`Event catch-up will run every ${minutes} minute(s)`);
+  }
+
+  /**
+   * Stop periodic catch-up runs
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Mark an event as processed, returns false if it was processed before
+   */
+  markProcessed(eventId) {
+    if (!eventId) {
+      return true;
+    }
+
+    if (this.processedEventIds.has(eventId)) {
+      return false;
+    }
+
+    this.processedEventIds.set(eventId, true);
+
+    while (this.processedEventIds.size > MAX_PROCESSED_EVENT_IDS) {
+      const oldestId = this.processedEventIds.keys().next().value;
+      this.processedEventIds.delete(oldestId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Run a catch-up pass (concurrent calls share the running pass)
+   */
+  run(reason) {
+    if (!this.runPromise) {
+      this.runPromise = this.catchUp(reason).finally(() => {
+        this.runPromise = null;
+      });
+    }
+
+    return this.runPromise;
+  }
+
+  /**
+   * Fetch events since the cursor and replay the ones not processed yet
+   */
+  async catchUp(reason) {
+    const webhookServer = this.platform.webhookServer;
+    const deviceIds = this.platform.accessories.map(accessory => accessory.deviceId);
+    const runStartTime = Date.now();
+
+    if (!webhookServer || deviceIds.length === 0) {
+      this.debugLog('Event catch-up skipped (no webhook server or devices)');
+      return;
+    }
+
+    // First run ever - nothing was missed yet, start tracking from now
+    if (!this.cursor) {
+      this.debugLog('No event cursor saved yet, starting event catch-up from now');
+      this.cursor = runStartTime;
+      this.save();
+      return;
+    }
+
+    const since = Math.max(this.cursor - CURSOR_OVERLAP, runStartTime - MAX_CATCH_UP_AGE);
+    this.debugLog(`Event catch-up (${reason}) since ${new Date(since).toISOString()}`);
+
+    try {
+      let replayed = 0;
+      let newestEventTime = since;
+      let pageCursor = null;
+
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const params = {
+          since: new Date(since).toISOString(),
+          device_ids: deviceIds,
+          limit: PAGE_SIZE
+        };
+        if (pageCursor) {
+          params.page_cursor = pageCursor;
+        }
+
+        const result = await this.platform.seamAPI.listEvents(params);
+        const events = result.events;
+
+        // Replay oldest first so state ends on the newest event
+        events.sort((a, b) => new Date(a.occurred_at).getTime() - new Date(b.occurred_at).getTime());
+
+        for (const event of events) {
+          newestEventTime = Math.max(newestEventTime, new Date(event.occurred_at).getTime() || 0);
+          if (this.processedEventIds.has(event.event_id)) {
+            continue;
+          }
+          webhookServer.processWebhook(event, { replay: true });
+          replayed++;
+        }
+
+        pageCursor = result.nextPageCursor;
+        if (!pageCursor) {
+          break;
+        }
+      }
+
+      if (replayed > 0) {
+        this.platform.log.info(`[CATCH-UP] Replayed ${replayed} missed event(s) (${reason})`);
+      } else {
+        this.debugLog(`Event catch-up found no missed events (${reason})`);
+      }
+
+      // A run cut off at MAX_PAGES continues after the newest event it processed, the
+      // processed event IDs cover a full run so the overlap is not replayed twice
+      if (!pageCursor) {
+        this.cursor = runStartTime;
+      } else {
+        this.cursor = newestEventTime;
+        this.platform.log.warn(`[CATCH-UP] More than ${MAX_PAGES * PAGE_SIZE} missed events, continuing from ${new Date(newestEventTime).toISOString()} on the next run`);
+      }
+      this.save();
+    } catch (error) {
+      // Cursor stays where it was, the next run retries the same window
+      this.platform.log.error('Event catch-up failed:', error.message);
+    }
+  }
+
+  /**
+   * Save cursor and processed event IDs
+   */
+  save() {
+    try {
+      this.platform.writeStorageFile('events.json', {
+        cursor: new Date(this.cursor).toISOString(),
+        processedEventIds: Array.from(this.processedEventIds.keys())
+      });
+    } catch (error) {
+      this.platform.log.error('Failed to save event catch-up state:', error.message);
+    }
+  }
+}
+
+module.exports = EventCatchUp;
@@ -0,0 +1,412 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Event types a sink can subscribe to
+const EVENT_TYPES = [
+  'locked',
+  'unlocked',
+  'door_opened',
+  'door_closed',
+  'battery_changed',
+  'device_online',
+  'device_offline',
+  'command_succeeded',
+  'command_failed'
+];
+
+// Timeout of a single delivery
+const REQUEST_TIMEOUT = 10 * 1000; // 10 seconds
+
+// Retry backoff, doubled after every failed attempt
+const MIN_RETRY_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+
+// Deliveries kept in the retry queue, the oldest are dropped beyond this
+const MAX_QUEUE_SIZE = 500;
+
+/**
+ * Forward lock events to user configured HTTP endpoints (event sinks)
+ * Each sink gets a normalised JSON event, or a body rendered from its template, optionally signed with HMAC-SHA256.
+ * Failed deliveries are retried with backoff from a queue saved in event-sinks.json.
+ */
+class EventSinks {
+  constructor(platform, sinks) {
+    this.platform = platform;
+    this.sinks = (sinks || []).filter(sink => this.isValidSink(sink));
+    this.retryTimer = null;
+    this.isProcessing = false;
+    this.isStopped = false;
+    this.inFlight = new Map(); // delivery -> promise of the running attempt
+
+    // Restore deliveries still waiting for a retry, skip sinks that were removed from the config
+    const saved = platform.readStorageFile('event-sinks.json') || {};
+    this.queue = (saved.queue || []).filter(delivery => this.getSink(delivery.sink));
+  }
+
+  /**
+   * Debug logging helper - checks plugin debug setting
+   */
+  debugLog(message, ...args) {
+    if (this.platform.config.debug) {
+      this.platform.log.info(`[DEBUG] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Check a sink config, invalid sinks are skipped
+   */
+  isValidSink(sink) {
+    let url = null;
+    try {
+      url = new URL(sink.url);
+    } catch (error) {
+      // Reported below
+    }
+
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      this.platform.log.error(`Event sink ${sink.name || sink.url || '(unnamed)'} has no valid http(s) URL, skipping it`);
+      return false;
+    }
+
+    const unknownTypes = (sink.events || []).filter(type => !EVENT_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      this.platform.log.warn(`Event sink ${this.getSinkKey(sink)} subscribes to unknown event type(s): ${unknownTypes.join(', ')}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Retry deliveries left over from the last run
+   */
+  start() {
+    this.platform.log.info(`Forwarding events to ${this.sinks.length} event sink(s)`);
+
+    if (this.queue.length > 0) {
+      this.platform.log.info(`[EVENT SINKS] ${this.queue.length} delivery(s) waiting for a retry`);
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Stop retrying, save the queue and wait for deliveries in flight
+   * They are saved first, Homebridge may exit before they finish
+   */
+  async stop() {
+    this.isStopped = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.save();
+
+    if (this.inFlight.size > 0) {
+      this.debugLog(`Waiting for ${this.inFlight.size} event delivery(s) in flight`);
+      await Promise.all(this.inFlight.values());
+      this.save();
+    }
+  }
+
+  /**
+   * Send an event of a lock to every sink subscribed to its type
+   */
+  dispatch(accessory, event) {
+    const normalised = this.normalise(accessory, event);
+
+    for (const sink of this.sinks) {
+      if (Array.isArray(sink.events) && sink.events.length > 0 && !sink.events.includes(normalised.type)) {
+        continue;
+      }
+
+      // The body is rendered once, retries send exactly the same content
+      const delivery = {
+        id: normalised.id,
+        sink: this.getSinkKey(sink),
+        type: normalised.type,
+        body: sink.template ? this.renderTemplate(sink.template, normalised, this.isJson(sink)) : JSON.stringify(normalised),
+        headers: this.renderHeaders(sink, normalised),
+        attempts: 0,
+        nextAttemptAt: Date.now()
+      };
+
+      this.deliver(sink, delivery);
+    }
+  }
+
+  /**
+   * Normalised event sent to sinks and available to templates
+   */
+  normalise(accessory, event) {
+    const normalised = {
+      id: crypto.randomUUID(),
+      type: event.type,
+      time: new Date(event.time || Date.now()).toISOString(),
+      device_id: accessory.deviceId,
+      device_name: accessory.name,
+      source: event.source || null,
+      locked: typeof event.locked === 'boolean' ? event.locked : accessory.isLocked,
+      method: event.method || null,
+      access_code_id: event.accessCodeId || null,
+      actor: event.actor || null,
+      battery_level: accessory.batteryLevel,
+      low_battery: accessory.isLowBattery,
+      door_open: accessory.supportsDoorSensor ? accessory.isDoorOpen : null,
+      error: event.error || null
+    };
+
+    normalised.message = this.describeEvent(normalised);
+    return normalised;
+  }
+
+  /**
+   * Human readable event for notifications, e.g. "Front Door: unlocked (keypad)"
+   */
+  describeEvent(event) {
+    const command = event.locked ? 'lock' : 'unlock';
+    let description;
+
+    switch (event.type) {
+      case 'battery_changed':
+        description = `battery at ${event.battery_level}%`;
+        break;
+      case 'command_succeeded':
+        description = `${command} command succeeded`;
+        break;
+      case 'command_failed':
+        description = `${command} command failed${event.error ? ` (${event.error})` : ''}`;
+        break;
+      default:
+        description = event.type.replace(/_/g, ' ');
+        break;
+    }
+
+    const via = event.method || event.actor;
+    if (via && (event.type === 'locked' || event.type === 'unlocked')) {
+      description += ` (${via})`;
+    }
+
+    return `${event.device_name}: ${description}`;
+  }
+
+  /**
+   * Replace {{field}} placeholders with fields of the normalised event
+   * Values are JSON escaped when the template produces JSON
+   */
+  renderTemplate(template, event, isJson) {
+    return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, field) => {
+      const value = event[field] === null || event[field] === undefined ? '' : String(event[field]);
+      return isJson ? JSON.stringify(value).slice(1, -1) : value;
+    });
+  }
+
+  /**
+   * Custom headers of a sink, values may use the same placeholders as templates
+   */
+  renderHeaders(sink, event) {
+    const headers = {};
+
+    for (const header of sink.headers || []) {
+      if (header.name) {
+        headers[header.name] = this.renderTemplate(header.value || '', event, false).replace(/[\r\n]+/g, ' ');
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Send a delivery, tracked until the attempt finished
+   */
+  deliver(sink, delivery) {
+    const attempt = this.attemptDelivery(sink, delivery).finally(() => {
+      this.inFlight.delete(delivery);
+    });
+
+    this.inFlight.set(delivery, attempt);
+    return attempt;
+  }
+
+  /**
+   * Send a delivery, queue it for a retry if it failed
+   */
+  async attemptDelivery(sink, delivery) {
+    delivery.attempts++;
+
+    try {
+      await this.send(sink, delivery);
+      this.debugLog(`Delivered ${delivery.type} event to ${this.getSinkKey(sink)}`);
+      return true;
+    } catch (error) {
+      const retries = sink.retries ?? 5;
+
+      if (error.isPermanent || delivery.attempts > retries) {
+        this.platform.log.error(`[EVENT SINKS] Dropping ${delivery.type} event for ${this.getSinkKey(sink)} after ${delivery.attempts} attempt(s):`, error.message);
+        return false;
+      }
+
+      const delay = Math.min(MIN_RETRY_DELAY * Math.pow(2, delivery.attempts - 1), MAX_RETRY_DELAY);
+      delivery.nextAttemptAt = Date.now() + delay;
+      this.platform.log.warn(`[EVENT SINKS] Failed to deliver ${delivery.type} event to ${this.getSinkKey(sink)} (${error.message}), retry ${delivery.attempts}/${retries} in ${Math.round(delay / 1000)} seconds`);
+
+      this.enqueue(delivery);
+      return false;
+    }
+  }
+
+  /**
+   * POST a delivery to a sink, rejects on network errors and non-2xx responses
+   * Client errors other than 408 and 429 are permanent and not retried
+   */
+  send(sink, delivery) {
+    const url = new URL(sink.url);
+    const body = Buffer.from(delivery.body);
+    const headers = Object.assign({
+      'Content-Type': sink.contentType || 'application/json',
+      'Content-Length': body.length,
+      'User-Agent': 'homebridge-seam',
+      'X-Homebridge-Seam-Event': delivery.type,
+      'X-Homebridge-Seam-Delivery': delivery.id
+    }, delivery.headers);
+
+    // Signature covers the timestamp and the raw body: HMAC-SHA256(secret, "<timestamp>.<body>")
+    if (sink.secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = crypto.createHmac('sha256', sink.secret)
+        .update(`${timestamp}.`)
+        .update(body)
+        .digest('hex');
+      headers['X-Homebridge-Seam-Timestamp'] = String(timestamp);
+      headers['X-Homebridge-Seam-Signature'] = `sha256=${signature}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers,
+        timeout: REQUEST_TIMEOUT
+      }, (res) => {
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+            return;
+          }
+
+          const error = new Error(`HTTP ${res.statusCode}`);
+          error.isPermanent = res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 408 && res.statusCode !== 429;
+          reject(error);
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(error);
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error('Request timeout'));
+      });
+
+      req.end(body);
+    });
+  }
+
+  /**
+   * Add a delivery to the retry queue
+   */
+  enqueue(delivery) {
+    this.queue.push(delivery);
+
+    if (this.queue.length > MAX_QUEUE_SIZE) {
+      const dropped = this.queue.splice(0, this.queue.length - MAX_QUEUE_SIZE);
+      this.platform.log.warn(`[EVENT SINKS] Retry queue full, dropped ${dropped.length} oldest delivery(s)`);
+    }
+
+    this.save();
+    this.scheduleRetry();
+  }
+
+  /**
+   * Wake up when the next queued delivery is due
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (this.queue.length === 0 || this.isProcessing || this.isStopped) {
+      return;
+    }
+
+    const nextAttemptAt = Math.min(...this.queue.map(delivery => delivery.nextAttemptAt));
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processQueue();
+    }, Math.max(1000, nextAttemptAt - Date.now()));
+  }
+
+  /**
+   * Retry every due delivery (one at a time, oldest first)
+   */
+  async processQueue() {
+    this.isProcessing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.queue.filter(delivery => delivery.nextAttemptAt <= now);
+
+      // Deliveries stay queued (and saved) until their attempt starts
+      for (const delivery of due) {
+        if (this.isStopped) {
+          break;
+        }
+
+        this.queue = this.queue.filter(item => item !== delivery);
+        const sink = this.getSink(delivery.sink);
+        if (sink) {
+          await this.deliver(sink, delivery);
+        }
+      }
+
+      this.save();
+    } finally {
+      this.isProcessing = false;
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Sink by its key (name, or URL for unnamed sinks)
+   */
+  getSink(key) {
+    return this.sinks.find(sink => this.getSinkKey(sink) === key) || null;
+  }
+
+  /**
+   * Key of a sink in logs and the saved queue
+   */
+  getSinkKey(sink) {
+    return sink.name || sink.url;
+  }
+
+  /**
+   * Check if a sink receives JSON
+   */
+  isJson(sink) {
+    return /json/i.test(sink.contentType || 'application/json');
+  }
+
+  /**
+   * Save the retry queue, including deliveries in flight
+   */
+  save() {
+    const inFlight = Array.from(this.inFlight.keys()).filter(delivery => !this.queue.includes(delivery));
+
+    try {
+      this.platform.writeStorageFile('event-sinks.json', { queue: this.queue.concat(inFlight) });
+    } catch (error) {
+      this.platform.log.error('Failed to save event sink queue:', error.message);
+    }
+  }
+}
+
+module.exports = EventSinks;
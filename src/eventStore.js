@@ -0,0 +1,186 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only event history per device under the plugin storage directory
+ * Each device has history/<deviceId>.jsonl plus rotated <deviceId>.1.jsonl ... files, one JSON event per line.
+ * Event: { time, recordedAt, deviceId, type, source, locked, method, accessCodeId, actor, ... }
+ * type: locked, unlocked, door_opened, door_closed, command_succeeded or command_failed
+ */
+class EventStore {
+  constructor(platform, config) {
+    this.platform = platform;
+    this.config = config || {};
+    this.maxFileSize = (this.config.maxFileSize || 512) * 1024; // KB to bytes
+    this.maxFiles = this.config.maxFiles || 5;
+    this.retention = (this.config.retentionDays || 90) * 24 * 60 * 60 * 1000; // Days to milliseconds
+    this.directory = platform.getStorageFile('history');
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Debug logging helper - checks plugin debug setting
+   */
+  debugLog(message, ...args) {
+    if (this.platform.config.debug) {
+      this.platform.log.info(`[DEBUG] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Append an event for a device
+   */
+  record(deviceId, event) {
+    const entry = Object.assign({ time: Date.now() }, event, { deviceId, recordedAt: Date.now() });
+
+    try {
+      const file = this.getFile(deviceId);
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+
+      if (fs.statSync(file).size >= this.maxFileSize) {
+        this.rotate(deviceId);
+      }
+    } catch (error) {
+      this.platform.log.error(`Failed to record ${event.type} event for ${deviceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Query events of a device, newest first
+   * options: { since, until (timestamps or dates), types, sources, limit (default 100) }
+   */
+  query(deviceId, options = {}) {
+    const since = Math.max(options.since ? new Date(options.since).getTime() : 0, Date.now() - this.retention);
+    const until = options.until ? new Date(options.until).getTime() : Infinity;
+    const limit = options.limit || 100;
+    const results = [];
+
+    for (const file of this.getFiles(deviceId)) {
+      const lines = this.readLines(file);
+
+      for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+        let event;
+        try {
+          event = JSON.parse(lines[i]);
+        } catch (error) {
+          continue; // Skip a line cut off by a crash
+        }
+
+        if (event.time < since || event.time > until) {
+          continue;
+        }
+        if (options.types && !options.types.includes(event.type)) {
+          continue;
+        }
+        if (options.sources && !options.sources.includes(event.source)) {
+          continue;
+        }
+
+        results.push(event);
+      }
+
+      if (results.length >= limit) {
+        break;
+      }
+    }
+
+    // Files are appended in arrival order, sources can report a little out of order
+    return results.sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Last event of a device matching the options (e.g. { types: ['unlocked'] }), null if none
+   */
+  getLastEvent(deviceId, options = {}) {
+    return this.query(deviceId, Object.assign({}, options, { limit: 1 }))[0] || null;
+  }
+
+  /**
+   * Start a new file and drop rotated files beyond maxFiles or older than the retention
+   */
+  rotate(deviceId) {
+    // Keep maxFiles files in total, the current one and maxFiles - 1 rotated ones
+    fs.rmSync(this.getFile(deviceId, this.maxFiles - 1), { force: true });
+
+    for (let i = this.maxFiles - 2; i >= 0; i--) {
+      const from = this.getFile(deviceId, i);
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, this.getFile(deviceId, i + 1));
+      }
+    }
+
+    this.debugLog(`Rotated event history for ${deviceId}`);
+    this.prune(deviceId);
+  }
+
+  /**
+   * Remove rotated files whose newest event is past the retention
+   */
+  prune(deviceId) {
+    const cutoff = Date.now() - this.retention;
+
+    for (const file of this.getFiles(deviceId).slice(1)) {
+      try {
+        if (fs.statSync(file).mtimeMs < cutoff) {
+          fs.rmSync(file, { force: true });
+          this.debugLog(`Removed expired event history ${path.basename(file)}`);
+        }
+      } catch (error) {
+        this.platform.log.warn(`Failed to prune event history ${path.basename(file)}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Prune expired history of every device (at startup)
+   */
+  pruneAll() {
+    const deviceIds = new Set(fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => file.replace(/(\.\d+)?\.jsonl$/, '')));
+
+    for (const deviceId of deviceIds) {
+      this.prune(deviceId);
+    }
+  }
+
+  /**
+   * History file of a device (index 0 is the current file)
+   */
+  getFile(deviceId, index = 0) {
+    const name = String(deviceId).replace(/[^\w-]/g, '_');
+    return path.join(this.directory, index ? `${name}.${index}.jsonl` : `${name}.jsonl`);
+  }
+
+  /**
+   * Existing history files of a device, newest first
+   */
+  getFiles(deviceId) {
+    const files = [];
+
+    for (let i = 0; i < this.maxFiles; i++) {
+      const file = this.getFile(deviceId, i);
+      if (fs.existsSync(file)) {
+        files.push(file);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Non-empty lines of a history file
+   */
+  readLines(file) {
+    try {
+      return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      this.platform.log.warn(`Failed to read event history ${path.basename(file)}:`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = EventStore;
@@ -1,5 +1,51 @@
 'use strict';
 
+// Seam error/warning codes that mean the bolt could not move
+const JAMMED_CODES = [
+  'lock_jammed',
+  'jammed',
+  'bolt_jammed',
+  'motor_jammed'
+];
+
+// Seam error/warning codes that mean the real lock state cannot be known
+const UNKNOWN_STATE_CODES = [
+  'device_offline',
+  'device_disconnected',
+  'device_removed',
+  'account_disconnected',
+  'hub_disconnected',
+  'august_lock_missing_bridge',
+  'august_lock_not_authorized',
+  'ttlock_lock_not_paired_to_gateway',
+  'lockly_missing_wifi_bridge'
+];
+
+// Seam lock/unlock methods by the names used in the config and event history
+const SEAM_METHODS = {
+  keycode: 'keypad',
+  manual: 'manual',
+  seamapi: 'remote',
+  automatic: 'auto'
+};
+
+// How long a person's occupancy sensor stays triggered after an unlock
+const OCCUPANCY_RESET_TIME = 60 * 1000; // 1 minute
+
+// How long the access-denied alert sensor stays triggered
+const ACCESS_DENIED_PULSE_TIME = 10 * 1000; // 10 seconds
+
+// How long Seam gets to accept a lock/unlock command, retries included
+const COMMAND_REQUEST_TIMEOUT = 15 * 1000; // 15 seconds
+
+// Lock activity entries returned by the LockManagement Logs characteristic
+const MAX_LOG_ENTRIES = 50;
+
+// LockManagement control point requests (TLV8 types)
+const CONTROL_POINT_READ_LOGS_FROM_TIME = 0x00;
+const CONTROL_POINT_CLEAR_LOGS = 0x02;
+const CONTROL_POINT_SET_CURRENT_TIME = 0x03;
+
 /**
  * Lock Accessory for Homebridge
  * Simple lock implementation
@@ -22,9 +68,20 @@ class LockAccessory {
     this.isDoorOpen = false;
     this.supportsDoorSensor = false;
     
+    // Device health reported by Seam
+    this.isOnline = true;
+    this.isOnlineKnown = false; // Online state is not restored, the first report sets it
+    this.deviceErrors = [];
+    this.deviceWarnings = [];
+    this.isJammed = false;
+    this.isStateUnknown = false;
+    this.hasFault = false;
+    
     // Command state
     this.isCommandInProgress = false;
     this.commandPromise = null;
+    this.commandAccepted = null;
+    this.commandTarget = null;
     
     // Event tracking for race condition handling
     this.lastEventTime = 0;
@@ -32,13 +89,53 @@ class LockAccessory {
     this.lastWebhookTime = 0;
     this.lastPollingTime = 0;
     
-    // Battery cache
-    this.batteryCache = {
-      level: 100,
-      isLow: false,
-      lastUpdated: 0,
-      cacheTimeout: 60 * 60 * 1000 // 1 hour in milliseconds
-    };
+    // State freshness - onGet answers from state, refreshes in background once stale
+    this.lastStateUpdate = 0;
+    this.lastSource = null; // Source of the last state change (webhook, polling or command)
+    this.refreshPromise = null;
+    this.staleAfter = (platform.config.polling?.staleAfter || 300) * 1000; // Seconds to milliseconds
+    this.isStateRestored = false;
+
+    // Reachability - consecutive failed or offline polls before HomeKit shows "No Response"
+    this.consecutiveFailures = 0;
+    this.isUnreachable = false;
+    this.offlineThreshold = platform.config.polling?.offlineThreshold ?? 3;
+
+    // Auto-relock - when the pending relock is due and when the door was last closed
+    this.relockTimer = null;
+    this.relockDueAt = null;
+    this.doorClosedAt = 0;
+
+    // Open alert - since when the door is open / the lock is unlocked with the door closed
+    this.alertService = null;
+    this.alertTimer = null;
+    this.isAlertActive = false;
+    this.doorOpenSince = 0;
+    this.unlockedSince = 0;
+
+    // Security alerts - tamper state and recent access-denied events
+    this.isTampered = false;
+    this.tamperTimer = null;
+    this.tamperService = null;
+    this.accessDeniedService = null;
+    this.accessDeniedTimes = [];
+    this.isAccessDeniedActive = false;
+    this.accessDeniedTimer = null;
+
+    // Lock management - settings changed from HomeKit apps
+    this.lockManagementService = null;
+    this.autoSecurityTimeout = null;
+    this.administratorOnlyAccess = false;
+    this.logsFrom = null; // Requested through the control point
+    this.logsClearedAt = null;
+
+    // Who unlocked - per person triggers and access code names by ID
+    this.personTriggers = [];
+    this.serviceLabelService = null;
+    this.accessCodeNames = new Map();
+
+    // Cached platform accessory, its context keeps the last known state across restarts
+    this.platformAccessory = null;
 
     // Device info cache
     this.deviceInfo = {
@@ -63,57 +160,6 @@ class LockAccessory {
     }
   }
 
-  /**
-   * Check if battery cache is valid
-   */
-  isBatteryCacheValid() {
-    const now = Date.now();
-    return (now - this.batteryCache.lastUpdated) < this.batteryCache.cacheTimeout;
-  }
-
-  /**
-   * Update battery cache
-   */
-  updateBatteryCache(level, isLow) {
-    this.batteryCache.level = level;
-    this.batteryCache.isLow = isLow;
-    this.batteryCache.lastUpdated = Date.now();
-    this.debugLog(`Battery cache updated: ${level}% (${isLow ? 'LOW' : 'NORMAL'})`);
-  }
-
-  /**
-   * Get battery level from cache or API
-   */
-  async getBatteryLevelFromAPI() {
-    // Check cache first
-    if (this.isBatteryCacheValid()) {
-      this.debugLog(`Using cached battery level: ${this.batteryCache.level}%`);
-      return {
-        level: this.batteryCache.level,
-        isLow: this.batteryCache.isLow
-      };
-    }
-
-    // Cache expired, fetch from API
-    this.debugLog(`Battery cache expired, fetching from API...`);
-    try {
-      const status = await this.platform.seamAPI.getLockStatus(this.deviceId);
-      const level = status.battery_level || 100;
-      const isLow = level < 20;
-      
-      this.updateBatteryCache(level, isLow);
-      
-      return { level, isLow };
-    } catch (error) {
-      this.platform.log.error(`Failed to get battery level from API:`, error.message);
-      // Return cached value even if expired
-      return {
-        level: this.batteryCache.level,
-        isLow: this.batteryCache.isLow
-      };
-    }
-  }
-
   /**
    * Check if device info cache is valid
    */
@@ -222,8 +268,8 @@ class LockAccessory {
       
       this.updateDeviceInfoCache(info);
       
-      // Update name if it changed
-      if (info.name !== this.name) {
+      // Update name if it changed (a custom name from the config always wins)
+      if (!this.config.name && info.name !== this.name) {
         this.name = info.name;
         this.debugLog(`Device name updated to: ${this.name}`);
       }
@@ -261,7 +307,10 @@ class LockAccessory {
     this.lockService
       .getCharacteristic(this.Characteristic.LockTargetState)
       .onGet(this.getLockTargetState.bind(this))
-      .onSet(this.setLockTargetState.bind(this));
+      .onSet((value) => this.setLockTargetState(value));
+
+    // Lock Management Service (logs, last known action, auto-security timeout)
+    this.setupLockManagement();
 
     // Battery Service
     this.batteryService = new this.Service.Battery(this.name, 'battery');
@@ -288,6 +337,22 @@ class LockAccessory {
       this.debugLog(`${this.name} door sensor not supported by device`);
     }
 
+    // Door-left-open / unlocked-too-long alert
+    this.setupOpenAlert();
+
+    // Tamper and access-denied alerts, StatusTampered on sensor services
+    this.setupSecurityAlerts();
+
+    // Lock and battery services do not support StatusFault, sensor services carry it
+    for (const service of this.getSensorServices()) {
+      service
+        .getCharacteristic(this.Characteristic.StatusFault)
+        .onGet(this.getStatusFault.bind(this));
+    }
+
+    // Who unlocked - one trigger per configured person
+    this.setupPersonTriggers();
+
     this.debugLog(`Lock accessory setup completed: ${this.name}`);
   }
 
@@ -298,6 +363,7 @@ class LockAccessory {
     const services = [
       this.informationService,
       this.lockService,
+      this.lockManagementService,
       this.batteryService
     ];
     
@@ -306,316 +372,1038 @@ class LockAccessory {
       services.push(this.contactService);
     }
     
+    if (this.alertService) {
+      services.push(this.alertService);
+    }
+    
+    if (this.tamperService) {
+      services.push(this.tamperService);
+    }
+    
+    if (this.accessDeniedService) {
+      services.push(this.accessDeniedService);
+    }
+    
+    if (this.serviceLabelService) {
+      services.push(this.serviceLabelService);
+    }
+    
+    for (const trigger of this.personTriggers) {
+      services.push(trigger.service);
+    }
+    
     return services;
   }
 
   /**
-   * Get current lock state
+   * Create the LockManagement service
    */
-  async getLockCurrentState() {
-    this.debugLog(`HomeKit requested lock current state for ${this.name}`);
-    
-    // Add timeout to prevent hanging
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Request timeout')), 5000);
-    });
-    
-    try {
-      const statusPromise = this.platform.seamAPI.getLockStatus(this.deviceId);
-      const status = await Promise.race([statusPromise, timeoutPromise]);
-      
-      const oldLocked = this.isLocked;
-      this.isLocked = status.locked;
-      
-      // Log state change if it occurred
-      if (oldLocked !== this.isLocked) {
-        this.platform.log.info(`${this.name} lock state changed via API: ${oldLocked ? 'LOCKED' : 'UNLOCKED'} → ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}`);
-      }
-      
-      // Update battery level if available (always update when we have fresh data)
-      if (typeof status.battery_level === 'number') {
-        this.batteryLevel = status.battery_level;
-        this.isLowBattery = this.batteryLevel < 20;
-        this.updateBatteryCache(this.batteryLevel, this.isLowBattery);
-      } else {
-        // Use cached battery data
-        const batteryData = await this.getBatteryLevelFromAPI();
-        this.batteryLevel = batteryData.level;
-        this.isLowBattery = batteryData.isLow;
-      }
-      
-      const state = this.isLocked 
-        ? this.Characteristic.LockCurrentState.SECURED 
-        : this.Characteristic.LockCurrentState.UNSECURED;
-      
-      this.debugLog(`Lock current state for ${this.name}: ${this.isLocked ? 'LOCKED' : 'UNLOCKED'} (state value: ${state})`);
-      
-      // Force update characteristics to ensure HomeKit gets the value
-      this.lockService
-        .getCharacteristic(this.Characteristic.LockCurrentState)
-        .updateValue(state);
-      
-      this.lockService
-        .getCharacteristic(this.Characteristic.LockTargetState)
-        .updateValue(state);
-      
-      // Update battery characteristics
-      this.batteryService
-        .getCharacteristic(this.Characteristic.BatteryLevel)
-        .updateValue(this.batteryLevel);
-      
-      this.batteryService
-        .getCharacteristic(this.Characteristic.StatusLowBattery)
-        .updateValue(this.isLowBattery 
-          ? this.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW 
-          : this.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
-      
-      return state;
-    } catch (error) {
-      this.platform.log.error(`Failed to get lock state for ${this.name}:`, error.message);
-      // Return cached state instead of throwing error
-      const state = this.isLocked 
-        ? this.Characteristic.LockCurrentState.SECURED 
-        : this.Characteristic.LockCurrentState.UNSECURED;
-      this.debugLog(`Returning cached state for ${this.name}: ${this.isLocked ? 'LOCKED' : 'UNLOCKED'} (state value: ${state})`);
-      
-      // Force update characteristics even on error
-      this.lockService
-        .getCharacteristic(this.Characteristic.LockCurrentState)
-        .updateValue(state);
-      
-      this.lockService
-        .getCharacteristic(this.Characteristic.LockTargetState)
-        .updateValue(state);
-      
-      return state;
+  setupLockManagement() {
+    this.lockManagementService = new this.Service.LockManagement(this.name, 'management');
+
+    this.lockManagementService
+      .getCharacteristic(this.Characteristic.LockControlPoint)
+      .onSet((value) => this.handleLockControlPoint(value));
+
+    this.lockManagementService.setCharacteristic(this.Characteristic.Version, '1.0');
+
+    // Built from the event history on every read
+    this.lockManagementService
+      .getCharacteristic(this.Characteristic.Logs)
+      .onGet(() => this.encodeLogs());
+
+    this.lockManagementService
+      .getCharacteristic(this.Characteristic.LockManagementAutoSecurityTimeout)
+      .onGet(() => {
+        const config = this.getAutoRelockConfig();
+        return config.enabled ? (config.delay || 60) : 0;
+      })
+      .onSet((value) => {
+        this.autoSecurityTimeout = Number(value) || 0;
+        this.platform.log.info(`${this.name} auto-security timeout set to ${this.autoSecurityTimeout ? `${this.autoSecurityTimeout} seconds` : 'off'}`);
+        this.saveLockManagementSettings();
+
+        if (this.autoSecurityTimeout) {
+          this.cancelAutoRelock();
+          this.updateAutoRelock();
+        } else {
+          this.cancelAutoRelock('auto-security timeout turned off');
+        }
+      });
+
+    this.lockManagementService
+      .getCharacteristic(this.Characteristic.AdministratorOnlyAccess)
+      .onGet(() => this.administratorOnlyAccess)
+      .onSet((value) => {
+        this.administratorOnlyAccess = Boolean(value);
+        this.platform.log.info(`${this.name} administrator only access ${this.administratorOnlyAccess ? 'enabled' : 'disabled'}`);
+        this.saveLockManagementSettings();
+        this.updateAdministratorOnlyAccess();
+      });
+
+    // Updated on every lock state change, restored from the stored history so it survives restarts
+    this.lockManagementService.getCharacteristic(this.Characteristic.LockLastKnownAction);
+
+    const lastActivity = this.platform.eventStore
+      ? this.platform.eventStore.getLastEvent(this.deviceId, { types: ['locked', 'unlocked'] })
+      : null;
+    if (lastActivity) {
+      this.updateLastKnownAction(lastActivity);
     }
   }
 
   /**
-   * Get target lock state
+   * Push lock management values to HomeKit (after restoring settings)
    */
-  async getLockTargetState() {
-    this.debugLog(`HomeKit requested lock target state for ${this.name}`);
-    const state = this.isLocked 
-      ? this.Characteristic.LockTargetState.SECURED 
-      : this.Characteristic.LockTargetState.UNSECURED;
-    this.debugLog(`Lock target state for ${this.name}: ${this.isLocked ? 'LOCKED' : 'UNLOCKED'} (state value: ${state})`);
-    return state;
+  updateLockManagementCharacteristics() {
+    if (!this.lockManagementService) {
+      return;
+    }
+
+    const config = this.getAutoRelockConfig();
+
+    this.lockManagementService
+      .getCharacteristic(this.Characteristic.LockManagementAutoSecurityTimeout)
+      .updateValue(config.enabled ? (config.delay || 60) : 0);
+
+    this.lockManagementService
+      .getCharacteristic(this.Characteristic.AdministratorOnlyAccess)
+      .updateValue(this.administratorOnlyAccess);
+
+    this.updateAdministratorOnlyAccess();
   }
 
   /**
-   * Set target lock state
+   * Limit the lock management characteristics to admin controllers while administrator only access is on
+   * HAP rejects reads, writes and notifications of other controllers
    */
-  async setLockTargetState(value) {
-    const shouldLock = value === this.Characteristic.LockTargetState.SECURED;
-    
-    this.debugLog(`HomeKit requested to ${shouldLock ? 'lock' : 'unlock'} ${this.name} (value: ${value})`);
-    
-    // Check if command is already in progress
-    if (this.isCommandInProgress) {
-      this.platform.log.warn(`Command already in progress for ${this.name}, waiting for completion...`);
-      try {
-        await this.commandPromise;
-        this.debugLog(`Previous command completed for ${this.name}`);
-      } catch (error) {
-        this.platform.log.error(`Previous command failed for ${this.name}:`, error.message);
-        throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
-      }
-    }
-    
-    // Start new command
-    this.isCommandInProgress = true;
-    this.commandPromise = this.executeLockCommand(shouldLock);
-    
-    try {
-      await this.commandPromise;
-    } finally {
-      this.isCommandInProgress = false;
-      this.commandPromise = null;
+  updateAdministratorOnlyAccess() {
+    const Access = this.platform.api.hap.Access;
+    const adminOnlyAccess = this.administratorOnlyAccess ? [Access.READ, Access.WRITE, Access.NOTIFY] : [];
+
+    for (const characteristic of [
+      this.Characteristic.LockControlPoint,
+      this.Characteristic.Logs,
+      this.Characteristic.LockManagementAutoSecurityTimeout,
+      this.Characteristic.AdministratorOnlyAccess
+    ]) {
+      this.lockManagementService.getCharacteristic(characteristic).setProps({ adminOnlyAccess });
     }
   }
 
   /**
-   * Update state with priority handling based on timestamps
+   * Handle a lock control point request (TLV8)
+   *   0x00 Read Logs From Time - Logs only returns entries from then on (Unix seconds, uint32)
+   *   0x02 Clear Logs          - Logs leaves out entries up to now, the event history is kept
+   *   0x03 Set Current Time    - accepted, Seam locks keep their own clock
    */
-  updateStateWithPriority(state, source, timestamp) {
-    this.debugLog(`Updating state for ${this.name} from ${source} at ${new Date(timestamp).toISOString()}`);
-    
-    // Check if this update is newer than the last update from the same source
-    if (source === 'webhook' && this.lastWebhookTime && timestamp <= this.lastWebhookTime) {
-      this.debugLog(`Webhook update is older than last webhook (${new Date(this.lastWebhookTime).toISOString()}), skipping for ${this.name}`);
-      return;
+  handleLockControlPoint(value) {
+    const hap = this.platform.api.hap;
+    let request = {};
+
+    try {
+      request = hap.decode(Buffer.from(String(value || ''), 'base64'));
+    } catch (error) {
+      // Rejected below
     }
-    
-    if (source === 'polling' && this.lastPollingTime && timestamp <= this.lastPollingTime) {
-      this.debugLog(`Polling update is older than last polling (${new Date(this.lastPollingTime).toISOString()}), skipping for ${this.name}`);
-      return;
+
+    const types = Object.keys(request).map(Number);
+    const supported = [CONTROL_POINT_READ_LOGS_FROM_TIME, CONTROL_POINT_CLEAR_LOGS, CONTROL_POINT_SET_CURRENT_TIME];
+    if (types.length === 0 || types.some(type => !supported.includes(type))) {
+      this.platform.log.warn(`${this.name} rejected unsupported lock control point request`);
+      this.debugLog(`${this.name} lock control point write: ${value}`);
+      throw new hap.HapStatusError(hap.HAPStatus.INVALID_VALUE_IN_REQUEST);
     }
-    
-    // If command is in progress, check if this update is newer
-    if (this.isCommandInProgress) {
-      if (timestamp > this.lastCommandTime) {
-        this.debugLog(`Update from ${source} is newer than command in progress, applying update for ${this.name}`);
-        this.updateState(state);
-      } else {
-        this.debugLog(`Command in progress and update from ${source} is older, skipping for ${this.name}`);
-        return;
-      }
-    } else {
-      // No command in progress, apply update
-      this.updateState(state);
+
+    const readFrom = request[CONTROL_POINT_READ_LOGS_FROM_TIME];
+    if (readFrom) {
+      this.logsFrom = readFrom.length >= 4 ? readFrom.readUInt32LE(0) * 1000 : null;
+      this.debugLog(`${this.name} lock logs requested from ${this.logsFrom ? new Date(this.logsFrom).toISOString() : 'the start'}`);
     }
-    
-    // Update source timestamps
-    if (source === 'webhook') {
-      this.lastWebhookTime = timestamp;
-    } else if (source === 'polling') {
-      this.lastPollingTime = timestamp;
-    } else if (source === 'command') {
-      this.lastCommandTime = timestamp;
+
+    if (request[CONTROL_POINT_CLEAR_LOGS]) {
+      this.logsClearedAt = Date.now();
+      this.logsFrom = null;
+      this.platform.log.info(`${this.name} lock logs cleared`);
+      this.saveLockManagementSettings();
     }
+
+    this.lockManagementService
+      .getCharacteristic(this.Characteristic.Logs)
+      .updateValue(this.encodeLogs());
   }
 
   /**
-   * Execute lock command with improved race condition handling
+   * Lock activity from the event history as TLV8 (base64) for the Logs characteristic, newest first
+   * Each entry: 1 = time (Unix seconds, uint32), 2 = user, 3 = last known action (uint8, if known),
+   * 4 = description (UTF-8). Entries are separated by an empty TLV item
    */
-  async executeLockCommand(shouldLock) {
-    this.platform.log.info(`Executing ${shouldLock ? 'lock' : 'unlock'} command for ${this.name}...`);
-    
-    const commandTime = Date.now();
-    this.lastCommandTime = commandTime;
-    
-    // Add timeout to prevent hanging
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Command timeout')), 15000);
+  encodeLogs() {
+    if (!this.platform.eventStore) {
+      return '';
+    }
+
+    const events = this.platform.eventStore.query(this.deviceId, {
+      types: ['locked', 'unlocked'],
+      since: Math.max(this.logsFrom || 0, this.logsClearedAt || 0) || undefined,
+      limit: MAX_LOG_ENTRIES
     });
-    
-    try {
-      const commandPromise = shouldLock 
-        ? this.platform.seamAPI.lockDoor(this.deviceId)
-        : this.platform.seamAPI.unlockDoor(this.deviceId);
-      
-      this.debugLog(`Sending ${shouldLock ? 'lock' : 'unlock'} request to Seam API for ${this.name}`);
-      await Promise.race([commandPromise, timeoutPromise]);
-      this.debugLog(`Seam API ${shouldLock ? 'lock' : 'unlock'} command completed for ${this.name}`);
 
-      // Update state with command priority
-      const oldState = this.isLocked;
-      this.isLocked = shouldLock;
-      
-      this.platform.log.info(`${this.name} lock state changed: ${oldState ? 'LOCKED' : 'UNLOCKED'} → ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}`);
-      
-      // Update characteristics immediately
-      const lockState = shouldLock 
-        ? this.Characteristic.LockCurrentState.SECURED 
-        : this.Characteristic.LockCurrentState.UNSECURED;
-      
-      this.debugLog(`${this.name} updating HomeKit characteristics with new lock state: ${lockState}`);
-      
-      this.lockService
-        .getCharacteristic(this.Characteristic.LockCurrentState)
-        .updateValue(lockState);
-      
-      this.lockService
-        .getCharacteristic(this.Characteristic.LockTargetState)
-        .updateValue(lockState);
-      
-      this.platform.log.info(`${this.name} ${shouldLock ? 'locked' : 'unlocked'} successfully`);
-      this.debugLog(`${this.name} HomeKit characteristics updated successfully`);
-      
-      // No delay - webhooks will handle real-time updates based on timestamps
-      this.debugLog(`${this.name} command completed, webhooks will handle any additional updates`);
-    } catch (error) {
-      this.platform.log.error(`Failed to ${shouldLock ? 'lock' : 'unlock'} ${this.name}:`, error.message);
-      // Throw HAP error to indicate failure to HomeKit
-      throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    const entries = events.map((event) => {
+      const time = Buffer.alloc(4);
+      time.writeUInt32LE(Math.floor(event.time / 1000));
+
+      const user = event.actor || event.method || event.source || 'unknown';
+      const action = this.getLastKnownAction(event);
+      const description = `${event.locked ? 'Locked' : 'Unlocked'}${event.method ? ` (${event.method})` : ''} via ${event.source}`;
+
+      const items = [1, time, 2, Buffer.from(String(user))];
+      if (action !== null) {
+        items.push(3, Buffer.from([action]));
+      }
+      items.push(4, Buffer.from(description));
+
+      return this.platform.api.hap.encode(...items);
+    });
+
+    const separator = Buffer.from([0, 0]);
+    const tlv = entries.reduce((buffer, entry, i) => Buffer.concat(i ? [buffer, separator, entry] : [entry]), Buffer.alloc(0));
+    return tlv.toString('base64');
+  }
+
+  /**
+   * Keep lock management settings in the accessory context
+   */
+  saveLockManagementSettings() {
+    if (!this.platformAccessory) {
+      return;
     }
+
+    this.platformAccessory.context.autoSecurityTimeout = this.autoSecurityTimeout;
+    this.platformAccessory.context.administratorOnlyAccess = this.administratorOnlyAccess;
+    this.platformAccessory.context.logsClearedAt = this.logsClearedAt;
+    this.platform.api.updatePlatformAccessories([this.platformAccessory]);
   }
 
   /**
-   * Get battery level
+   * Record a lock state change in the history and as the last known action
+   * entry: { time, source: webhook|polling|command, locked, method: keypad|manual|remote|auto|null, accessCodeId, actor }
    */
-  async getBatteryLevel() {
-    this.debugLog(`HomeKit requested battery level for ${this.name}`);
-    
-    // Get battery data from cache or API
-    const batteryData = await this.getBatteryLevelFromAPI();
-    this.batteryLevel = batteryData.level;
-    this.isLowBattery = batteryData.isLow;
-    
-    this.debugLog(`Battery level for ${this.name}: ${this.batteryLevel}%`);
-    return this.batteryLevel;
+  recordActivity(entry, options = {}) {
+    const activity = Object.assign({ time: Date.now(), method: null, accessCodeId: null, actor: null }, entry);
+
+    this.recordEvent(Object.assign({ type: activity.locked ? 'locked' : 'unlocked' }, activity));
+
+    if (this.lockManagementService) {
+      this.lockManagementService
+        .getCharacteristic(this.Characteristic.Logs)
+        .updateValue(this.encodeLogs());
+    }
+
+    // Stale entries (older than the current state) must not replace the last known action
+    if (!options.isStale) {
+      this.updateLastKnownAction(activity);
+    }
   }
 
   /**
-   * Get low battery status
+   * Show how the lock was last locked or unlocked (kept when the method is unknown)
    */
-  async getStatusLowBattery() {
-    this.debugLog(`HomeKit requested low battery status for ${this.name}`);
-    
-    // Get battery data from cache or API
-    const batteryData = await this.getBatteryLevelFromAPI();
-    this.batteryLevel = batteryData.level;
-    this.isLowBattery = batteryData.isLow;
-    
-    const status = this.isLowBattery 
-      ? this.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW 
-      : this.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL;
-    this.debugLog(`Low battery status for ${this.name}: ${this.isLowBattery ? 'LOW' : 'NORMAL'}`);
-    return status;
+  updateLastKnownAction(activity) {
+    const lastKnownAction = this.getLastKnownAction(activity);
+
+    if (this.lockManagementService && lastKnownAction !== null) {
+      this.lockManagementService
+        .getCharacteristic(this.Characteristic.LockLastKnownAction)
+        .updateValue(lastKnownAction);
+    }
   }
 
   /**
-   * Get contact sensor state (door open/closed)
+   * Record an event older than the current state (out of order webhook or catch-up replay)
+   * It goes to the history and event sinks but leaves the HomeKit state alone
    */
-  async getContactSensorState() {
-    this.debugLog(`HomeKit requested contact sensor state for ${this.name}`);
-    const state = this.isDoorOpen 
-      ? this.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED 
-      : this.Characteristic.ContactSensorState.CONTACT_DETECTED;
-    this.debugLog(`Contact sensor state for ${this.name}: ${this.isDoorOpen ? 'DOOR OPEN' : 'DOOR CLOSED'} (state value: ${state})`);
-    return state;
+  recordStaleEvent(state, source, timestamp) {
+    if (typeof state.locked === 'boolean') {
+      this.recordActivity({
+        time: timestamp,
+        source,
+        locked: state.locked,
+        method: SEAM_METHODS[state.method] || null,
+        accessCodeId: state.access_code_id || null
+      }, { isStale: true });
+    } else if (typeof state.door_open === 'boolean' && this.contactService) {
+      this.recordEvent({ time: timestamp, source, type: state.door_open ? 'door_opened' : 'door_closed' });
+    } else if (typeof state.online === 'boolean') {
+      this.forwardEvent({ time: timestamp, source, type: state.online ? 'device_online' : 'device_offline' });
+    }
   }
 
   /**
-   * Update state from external source (webhook or polling)
+   * Append an event to the persistent event history and forward it to the event sinks
    */
-  updateState(state) {
-    this.debugLog(`Updating state for ${this.name}:`, state);
-    
-    // Update lock state
-    if (typeof state.locked === 'boolean' && state.locked !== this.isLocked) {
-      const oldState = this.isLocked;
-      this.isLocked = state.locked;
-      
-      const lockState = this.isLocked 
-        ? this.Characteristic.LockCurrentState.SECURED 
-        : this.Characteristic.LockCurrentState.UNSECURED;
-      
-      this.platform.log.info(`${this.name} lock state changed: ${oldState ? 'LOCKED' : 'UNLOCKED'} → ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}`);
-      this.debugLog(`${this.name} updating HomeKit characteristics with new lock state: ${lockState}`);
-      
-      this.lockService
-        .getCharacteristic(this.Characteristic.LockCurrentState)
-        .updateValue(lockState);
-      
-      this.lockService
-        .getCharacteristic(this.Characteristic.LockTargetState)
-        .updateValue(lockState);
-      
-      this.debugLog(`${this.name} HomeKit characteristics updated successfully`);
-    } else if (typeof state.locked === 'boolean') {
-      this.debugLog(`${this.name} lock state unchanged: ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}`);
+  recordEvent(event) {
+    if (this.platform.eventStore) {
+      this.platform.eventStore.record(this.deviceId, event);
     }
+    this.forwardEvent(event);
+  }
 
-    // Update battery level
+  /**
+   * Forward an event to the configured event sinks (history only keeps lock, door and command events)
+   */
+  forwardEvent(event) {
+    if (this.platform.eventSinks) {
+      this.platform.eventSinks.dispatch(this, event);
+    }
+  }
+
+  /**
+   * Publish the current state to MQTT (only sent when it changed)
+   */
+  publishState() {
+    if (this.platform.mqttBridge) {
+      this.platform.mqttBridge.publishState(this);
+    }
+  }
+
+  /**
+   * LockLastKnownAction value for an activity entry, null when the method is unknown
+   */
+  getLastKnownAction(activity) {
+    const Action = this.Characteristic.LockLastKnownAction;
+
+    switch (activity.method) {
+      case 'keypad':
+        return activity.locked ? Action.SECURED_BY_KEYPAD : Action.UNSECURED_BY_KEYPAD;
+      case 'manual':
+        return activity.locked ? Action.SECURED_PHYSICALLY_INTERIOR : Action.UNSECURED_PHYSICALLY_INTERIOR;
+      case 'remote':
+        return activity.locked ? Action.SECURED_REMOTELY : Action.UNSECURED_REMOTELY;
+      case 'auto':
+        return activity.locked ? Action.SECURED_BY_AUTO_SECURE_TIMEOUT : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Create a stateless switch or occupancy sensor for every person in the people config
+   */
+  setupPersonTriggers() {
+    const people = (this.config.people || []).filter(person => person && person.name);
+    this.personTriggers = [];
+    this.serviceLabelService = null;
+
+    if (people.length === 0) {
+      return;
+    }
+
+    // HomeKit needs a service label to tell several buttons on one accessory apart
+    if (people.some(person => person.type !== 'occupancy')) {
+      this.serviceLabelService = new this.Service.ServiceLabel(this.name, 'people');
+      this.serviceLabelService.setCharacteristic(
+        this.Characteristic.ServiceLabelNamespace,
+        this.Characteristic.ServiceLabelNamespace.ARABIC_NUMERALS
+      );
+    }
+
+    const subtypes = new Set();
+    people.forEach((person, index) => {
+      // Subtypes stay name based so existing triggers keep their automations, people sharing a name get a number
+      const baseSubtype = `person-${person.name.toLowerCase()}`;
+      let subtype = baseSubtype;
+      for (let number = 2; subtypes.has(subtype); number++) {
+        subtype = `${baseSubtype}-${number}`;
+      }
+      subtypes.add(subtype);
+
+      const trigger = { person, service: null, isOccupied: false, resetTimer: null };
+
+      if (person.type === 'occupancy') {
+        trigger.service = new this.Service.OccupancySensor(person.name, subtype);
+        trigger.service
+          .getCharacteristic(this.Characteristic.OccupancyDetected)
+          .onGet(() => trigger.isOccupied
+            ? this.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+            : this.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED);
+      } else {
+        trigger.service = new this.Service.StatelessProgrammableSwitch(person.name, subtype);
+        trigger.service
+          .getCharacteristic(this.Characteristic.ProgrammableSwitchEvent)
+          .setProps({ validValues: [this.Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS] });
+        trigger.service.setCharacteristic(this.Characteristic.ServiceLabelIndex, index + 1);
+      }
+
+      this.personTriggers.push(trigger);
+    });
+
+    this.debugLog(`${this.name} unlock triggers: ${people.map(person => `${person.name} (${person.type === 'occupancy' ? 'occupancy' : 'switch'})`).join(', ')}`);
+  }
+
+  /**
+   * Fire the triggers of the people behind an unlock event
+   * Access code matches win, method matches (keypad, manual, remote, auto) are the fallback
+   */
+  async handleUnlockEvent(event) {
+    if (this.personTriggers.length === 0) {
+      return;
+    }
+
+    const method = SEAM_METHODS[event.method] || event.method || 'unknown';
+    const accessCodeId = event.access_code_id;
+    const accessCodeName = accessCodeId ? await this.getAccessCodeName(accessCodeId) : null;
+
+    let matches = accessCodeId
+      ? this.personTriggers.filter(trigger => (trigger.person.accessCodes || [])
+        .some(value => value === accessCodeId || (accessCodeName && (value === accessCodeName || accessCodeName.startsWith(`${value} `)))))
+      : [];
+
+    if (matches.length === 0) {
+      matches = this.personTriggers.filter(trigger => (trigger.person.methods || []).includes(method));
+    }
+
+    if (matches.length === 0) {
+      this.debugLog(`${this.name} unlocked (${method}${accessCodeName ? `, code ${accessCodeName}` : ''}), no person configured`);
+      return;
+    }
+
+    for (const trigger of matches) {
+      this.platform.log.info(`${this.name} unlocked by ${trigger.person.name} (${method}${accessCodeName ? `, code ${accessCodeName}` : ''})`);
+      this.firePersonTrigger(trigger);
+    }
+  }
+
+  /**
+   * Press a person's switch or mark their occupancy sensor as occupied for a while
+   */
+  firePersonTrigger(trigger) {
+    if (trigger.person.type !== 'occupancy') {
+      trigger.service
+        .getCharacteristic(this.Characteristic.ProgrammableSwitchEvent)
+        .updateValue(this.Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS);
+      return;
+    }
+
+    trigger.isOccupied = true;
+    trigger.service
+      .getCharacteristic(this.Characteristic.OccupancyDetected)
+      .updateValue(this.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED);
+
+    clearTimeout(trigger.resetTimer);
+    trigger.resetTimer = setTimeout(() => {
+      trigger.isOccupied = false;
+      trigger.service
+        .getCharacteristic(this.Characteristic.OccupancyDetected)
+        .updateValue(this.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED);
+    }, OCCUPANCY_RESET_TIME);
+  }
+
+  /**
+   * Name of an access code (cached), null if Seam cannot tell
+   */
+  async getAccessCodeName(accessCodeId) {
+    if (this.accessCodeNames.has(accessCodeId)) {
+      return this.accessCodeNames.get(accessCodeId);
+    }
+
+    try {
+      const accessCode = await this.platform.seamAPI.getAccessCode(accessCodeId);
+      const name = accessCode?.name || null;
+      this.accessCodeNames.set(accessCodeId, name);
+      return name;
+    } catch (error) {
+      this.debugLog(`Could not look up access code ${accessCodeId} for ${this.name}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get current lock state
+   */
+  async getLockCurrentState() {
+    this.debugLog(`HomeKit requested lock current state for ${this.name}`);
+    
+    // Answer from state kept up to date by polling and webhooks
+    this.refreshStateIfStale();
+    this.assertReachable();
+    
+    const state = this.getLockCurrentStateValue();
+    this.debugLog(`Lock current state for ${this.name}: ${this.describeLockState()} (state value: ${state})`);
+    return state;
+  }
+
+  /**
+   * Check if the state is older than the staleness budget (restored state is always stale)
+   */
+  isStateStale() {
+    return this.isStateRestored || (Date.now() - this.lastStateUpdate) > this.staleAfter;
+  }
+
+  /**
+   * Refresh state from the API in the background when it is stale
+   */
+  refreshStateIfStale() {
+    if (!this.isStateStale() || this.refreshPromise) {
+      return;
+    }
+
+    this.debugLog(`State for ${this.name} is stale, refreshing in background`);
+
+    this.refreshPromise = this.platform.seamAPI.getLockStatus(this.deviceId)
+      .then((status) => {
+        this.updateStateWithPriority(status, 'polling', Date.now());
+      })
+      .catch((error) => {
+        this.platform.log.error(`Failed to refresh state for ${this.name}:`, error.message);
+      })
+      .finally(() => {
+        this.refreshPromise = null;
+      });
+  }
+
+  /**
+   * Get target lock state
+   */
+  async getLockTargetState() {
+    this.debugLog(`HomeKit requested lock target state for ${this.name}`);
+    this.assertReachable();
+    const targetLocked = this.getTargetLocked();
+    const state = targetLocked 
+      ? this.Characteristic.LockTargetState.SECURED 
+      : this.Characteristic.LockTargetState.UNSECURED;
+    this.debugLog(`Lock target state for ${this.name}: ${targetLocked ? 'LOCKED' : 'UNLOCKED'} (state value: ${state})`);
+    return state;
+  }
+
+  /**
+   * Set target lock state
+   */
+  async setLockTargetState(value, actor = 'homekit') {
+    const shouldLock = value === this.Characteristic.LockTargetState.SECURED;
+    
+    this.debugLog(`${actor} requested to ${shouldLock ? 'lock' : 'unlock'} ${this.name} (value: ${value})`);
+    
+    // A manual command replaces a pending auto-relock, an unlock starts a new countdown once it succeeds
+    this.cancelAutoRelock(actor === 'homekit' ? 'HomeKit command' : `${actor} command`);
+    
+    if (actor === 'homekit') {
+      await this.queueLockCommand(shouldLock, actor);
+      return;
+    }
+
+    // Commands from outside HomeKit show "Locking..."/"Unlocking..." in HomeKit too
+    const targetCharacteristic = this.lockService.getCharacteristic(this.Characteristic.LockTargetState);
+    targetCharacteristic.updateValue(value);
+
+    try {
+      await this.queueLockCommand(shouldLock, actor);
+    } catch (error) {
+      targetCharacteristic.updateValue(this.isLocked
+        ? this.Characteristic.LockTargetState.SECURED
+        : this.Characteristic.LockTargetState.UNSECURED);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a lock command after the one in progress (shared by HomeKit and auto-relock)
+   * A new command supersedes the one in progress once Seam accepted that one, it does not
+   * wait for its confirmation. Resolves once Seam accepted the command, the result is tracked in the background
+   */
+  async queueLockCommand(shouldLock, actor) {
+    // Commands are sent in order, the previous one only has to be accepted by Seam
+    const previousAccepted = this.isCommandInProgress ? this.commandAccepted : null;
+    if (previousAccepted) {
+      this.platform.log.warn(`Command already in progress for ${this.name}, ${shouldLock ? 'lock' : 'unlock'} supersedes it`);
+    }
+    
+    // Start new command - the command stays in progress until Seam reports the action attempt result
+    this.isCommandInProgress = true;
+    this.commandTarget = shouldLock;
+    const commandAccepted = Promise.resolve(previousAccepted)
+      .catch(() => {}) // A failed previous command was reported by its own caller
+      .then(() => this.executeLockCommand(shouldLock, actor));
+    const isCurrent = () => this.commandPromise === commandPromise;
+    const commandPromise = commandAccepted
+      .then((actionAttempt) => this.trackActionAttempt(actionAttempt, shouldLock, actor, isCurrent))
+      .finally(() => {
+        if (isCurrent()) {
+          this.isCommandInProgress = false;
+          this.commandPromise = null;
+          this.commandAccepted = null;
+          this.commandTarget = null;
+        }
+      });
+    this.commandAccepted = commandAccepted;
+    this.commandPromise = commandPromise;
+    commandPromise.catch(() => {}); // Rejection is reported through commandAccepted below
+
+    // Only wait for Seam to accept the command, HomeKit shows "Locking..."/"Unlocking..." until it completes
+    await commandAccepted;
+  }
+
+  /**
+   * Update state with priority handling based on timestamps
+   */
+  updateStateWithPriority(state, source, timestamp) {
+    this.debugLog(`Updating state for ${this.name} from ${source} at ${new Date(timestamp).toISOString()}`);
+    
+    // Check if this update is newer than the last update from the same source
+    if (source === 'webhook' && this.lastWebhookTime && timestamp <= this.lastWebhookTime) {
+      this.debugLog(`Webhook update is older than last webhook (${new Date(this.lastWebhookTime).toISOString()}), skipping for ${this.name}`);
+      return;
+    }
+    
+    if (source === 'polling' && this.lastPollingTime && timestamp <= this.lastPollingTime) {
+      this.debugLog(`Polling update is older than last polling (${new Date(this.lastPollingTime).toISOString()}), skipping for ${this.name}`);
+      return;
+    }
+    
+    // If command is in progress, check if this update is newer
+    if (this.isCommandInProgress) {
+      if (timestamp > this.lastCommandTime) {
+        this.debugLog(`Update from ${source} is newer than command in progress, applying update for ${this.name}`);
+        this.updateState(state, source, timestamp);
+      } else {
+        this.debugLog(`Command in progress and update from ${source} is older, skipping for ${this.name}`);
+        return;
+      }
+    } else {
+      // No command in progress, apply update
+      this.updateState(state, source, timestamp);
+    }
+    
+    // Update source timestamps
+    if (source === 'webhook') {
+      this.lastWebhookTime = timestamp;
+    } else if (source === 'polling') {
+      this.lastPollingTime = timestamp;
+    } else if (source === 'command') {
+      this.lastCommandTime = timestamp;
+    }
+  }
+
+  /**
+   * Time of the newest state update applied from any source
+   */
+  getLastUpdateTime() {
+    return Math.max(this.lastWebhookTime, this.lastPollingTime, this.lastCommandTime);
+  }
+
+  /**
+   * Execute lock command with improved race condition handling
+   * Resolves with the Seam action attempt once the command has been accepted
+   */
+  async executeLockCommand(shouldLock, actor) {
+    this.platform.log.info(`Executing ${shouldLock ? 'lock' : 'unlock'} command for ${this.name}...`);
+    
+    const commandTime = Date.now();
+    this.lastCommandTime = commandTime;
+    
+    // Add timeout to prevent hanging, retries stop at the same deadline so a
+    // command reported as failed is not executed later
+    const deadline = commandTime + COMMAND_REQUEST_TIMEOUT;
+    let timeoutTimer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutTimer = setTimeout(() => reject(new Error('Command timeout')), COMMAND_REQUEST_TIMEOUT);
+    });
+    
+    try {
+      const commandPromise = shouldLock 
+        ? this.platform.seamAPI.lockDoor(this.deviceId, { deadline })
+        : this.platform.seamAPI.unlockDoor(this.deviceId, { deadline });
+      
+      this.debugLog(`Sending ${shouldLock ? 'lock' : 'unlock'} request to Seam API for ${this.name}`);
+      const actionAttempt = await Promise.race([commandPromise, timeoutPromise]);
+      this.debugLog(`Seam API accepted ${shouldLock ? 'lock' : 'unlock'} command for ${this.name}:`, actionAttempt?.action_attempt_id || 'no action attempt');
+
+      return actionAttempt;
+    } catch (error) {
+      this.platform.log.error(`Failed to ${shouldLock ? 'lock' : 'unlock'} ${this.name}:`, error.message);
+      this.recordEvent({ source: 'command', type: 'command_failed', locked: shouldLock, actor, error: error.message });
+      // Throw HAP error to indicate failure to HomeKit
+      throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    } finally {
+      clearTimeout(timeoutTimer);
+    }
+  }
+
+  /**
+   * Wait for the action attempt to finish and commit or roll back the lock state
+   * A superseded command (isCurrent() false) still commits a confirmed state but leaves the target to the newer command
+   */
+  async trackActionAttempt(actionAttempt, shouldLock, actor, isCurrent = () => true) {
+    const timeout = (this.platform.config.commands?.timeout || 30) * 1000;
+    
+    this.debugLog(`Waiting up to ${timeout / 1000} seconds for ${shouldLock ? 'lock' : 'unlock'} action attempt of ${this.name}`);
+    
+    try {
+      const result = await this.platform.seamAPI.waitForActionAttempt(actionAttempt, timeout);
+      if (isCurrent()) {
+        this.commandTarget = null;
+      }
+      
+      if (result.status === 'success') {
+        // Update state with command priority
+        const oldState = this.isLocked;
+        this.isLocked = shouldLock;
+        
+        this.platform.log.info(`${this.name} lock state changed: ${oldState ? 'LOCKED' : 'UNLOCKED'} → ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}`);
+        this.updateLockCharacteristics();
+        this.isStateRestored = false;
+        this.lastStateUpdate = Date.now();
+        this.saveLastState(oldState !== this.isLocked);
+        
+        this.platform.log.info(`${this.name} ${shouldLock ? 'locked' : 'unlocked'} successfully`);
+        if (oldState !== this.isLocked) {
+          this.lastSource = 'command';
+          this.recordActivity({ source: 'command', locked: this.isLocked, method: actor === 'auto-relock' ? 'auto' : 'remote', actor });
+        }
+        // Recorded even when a webhook already reported the new state
+        this.recordEvent({ source: 'command', type: 'command_succeeded', locked: shouldLock, actor });
+        this.publishState();
+        this.updateAutoRelock();
+        this.updateOpenAlert();
+        return true;
+      }
+      
+      const errorType = result.error?.type || 'unknown_error';
+      const errorMessage = result.error?.message ? ` (${result.error.message})` : '';
+      this.platform.log.error(`Failed to ${shouldLock ? 'lock' : 'unlock'} ${this.name}: Seam reported ${errorType}${errorMessage}`);
+      this.recordEvent({ source: 'command', type: 'command_failed', locked: shouldLock, actor, error: errorType });
+    } catch (error) {
+      if (isCurrent()) {
+        this.commandTarget = null;
+      }
+      this.platform.log.error(`Failed to confirm ${shouldLock ? 'lock' : 'unlock'} of ${this.name}:`, error.message);
+      this.recordEvent({ source: 'command', type: 'command_failed', locked: shouldLock, actor, error: error.message });
+    }
+    
+    // The newer command owns the HomeKit target state
+    if (!isCurrent()) {
+      return false;
+    }
+    
+    // Roll back the target state so HomeKit stops showing the command as in progress
+    this.platform.log.warn(`${this.name} staying ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}, rolling back HomeKit target state`);
+    this.updateLockCharacteristics();
+    this.updateAutoRelock();
+    return false;
+  }
+
+  /**
+   * Target lock state - the pending command target while a command is in flight
+   */
+  getTargetLocked() {
+    return typeof this.commandTarget === 'boolean' ? this.commandTarget : this.isLocked;
+  }
+
+  /**
+   * Current lock state value - errors and warnings win over the last known bolt position
+   */
+  getLockCurrentStateValue() {
+    if (this.isJammed) {
+      return this.Characteristic.LockCurrentState.JAMMED;
+    }
+    
+    if (this.isStateUnknown || this.isFaultOnLockOnly()) {
+      return this.Characteristic.LockCurrentState.UNKNOWN;
+    }
+    
+    return this.isLocked 
+      ? this.Characteristic.LockCurrentState.SECURED 
+      : this.Characteristic.LockCurrentState.UNSECURED;
+  }
+
+  /**
+   * Human readable lock state for logs
+   */
+  describeLockState() {
+    if (this.isJammed) {
+      return 'JAMMED';
+    }
+    
+    if (this.isStateUnknown || this.isFaultOnLockOnly()) {
+      return 'UNKNOWN';
+    }
+    
+    return this.isLocked ? 'LOCKED' : 'UNLOCKED';
+  }
+
+  /**
+   * Faults without a sensor service to carry StatusFault show the lock itself as Unknown
+   */
+  isFaultOnLockOnly() {
+    return this.hasFault && this.getSensorServices().length === 0;
+  }
+
+  /**
+   * Current state for the admin API and MQTT
+   */
+  getStatus() {
+    return {
+      deviceId: this.deviceId,
+      name: this.name,
+      state: this.describeLockState().toLowerCase(),
+      locked: this.isLocked,
+      targetLocked: this.getTargetLocked(),
+      commandInProgress: this.isCommandInProgress,
+      doorOpen: this.supportsDoorSensor ? this.isDoorOpen : null,
+      batteryLevel: this.batteryLevel,
+      lowBattery: this.isLowBattery,
+      online: this.isOnline,
+      reachable: !this.isUnreachable,
+      errors: this.deviceErrors.map(error => error.code),
+      lastSource: this.lastSource,
+      lastUpdate: this.lastStateUpdate ? new Date(this.lastStateUpdate).toISOString() : null
+    };
+  }
+
+  /**
+   * Push the current lock state to both lock characteristics
+   */
+  updateLockCharacteristics() {
+    const lockState = this.getLockCurrentStateValue();
+    const targetState = this.getTargetLocked()
+      ? this.Characteristic.LockTargetState.SECURED
+      : this.Characteristic.LockTargetState.UNSECURED;
+    
+    this.debugLog(`${this.name} updating HomeKit characteristics with lock state: ${lockState} (target: ${targetState})`);
+    
+    this.lockService
+      .getCharacteristic(this.Characteristic.LockCurrentState)
+      .updateValue(lockState);
+    
+    this.lockService
+      .getCharacteristic(this.Characteristic.LockTargetState)
+      .updateValue(targetState);
+  }
+
+  /**
+   * Get battery level
+   */
+  async getBatteryLevel() {
+    this.debugLog(`HomeKit requested battery level for ${this.name}`);
+    
+    // Answer from state kept up to date by polling
+    this.refreshStateIfStale();
+    this.assertReachable();
+    
+    this.debugLog(`Battery level for ${this.name}: ${this.batteryLevel}%`);
+    return this.batteryLevel;
+  }
+
+  /**
+   * Get low battery status
+   */
+  async getStatusLowBattery() {
+    this.debugLog(`HomeKit requested low battery status for ${this.name}`);
+    
+    // Answer from state kept up to date by polling
+    this.refreshStateIfStale();
+    this.assertReachable();
+    
+    const status = this.isLowBattery 
+      ? this.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW 
+      : this.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL;
+    this.debugLog(`Low battery status for ${this.name}: ${this.isLowBattery ? 'LOW' : 'NORMAL'}`);
+    return status;
+  }
+
+  /**
+   * Get status fault (shared by all sensor services)
+   */
+  async getStatusFault() {
+    this.debugLog(`HomeKit requested status fault for ${this.name}`);
+    this.assertReachable();
+    return this.hasFault 
+      ? this.Characteristic.StatusFault.GENERAL_FAULT 
+      : this.Characteristic.StatusFault.NO_FAULT;
+  }
+
+  /**
+   * Record a poll result - failed requests and offline reports count towards the offline threshold
+   */
+  recordReachability(reachable) {
+    if (reachable) {
+      this.consecutiveFailures = 0;
+    } else {
+      this.consecutiveFailures++;
+      this.debugLog(`${this.name} failed or offline poll ${this.consecutiveFailures}/${this.offlineThreshold || 'disabled'}`);
+    }
+    
+    const isUnreachable = this.offlineThreshold > 0 && this.consecutiveFailures >= this.offlineThreshold;
+    if (isUnreachable === this.isUnreachable) {
+      return;
+    }
+    
+    this.isUnreachable = isUnreachable;
+    
+    if (isUnreachable) {
+      this.platform.log.warn(`${this.name} is not responding after ${this.consecutiveFailures} failed or offline poll(s), HomeKit will show No Response`);
+      if (this.lockService) {
+        this.lockService
+          .getCharacteristic(this.Characteristic.LockCurrentState)
+          .updateValue(this.createCommunicationError());
+      }
+    } else {
+      this.platform.log.info(`${this.name} is responding again`);
+      if (this.lockService) {
+        this.updateLockCharacteristics();
+      }
+    }
+    
+    this.publishState();
+  }
+
+  /**
+   * Throw "No Response" to HomeKit while the device is unreachable
+   */
+  assertReachable() {
+    if (this.isUnreachable) {
+      this.debugLog(`${this.name} is unreachable, answering HomeKit with No Response`);
+      throw this.createCommunicationError();
+    }
+  }
+
+  /**
+   * HomeKit communication failure error
+   */
+  createCommunicationError() {
+    return new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+  }
+
+  /**
+   * Update device health from Seam errors, warnings and online flag
+   * Errors and warnings are full lists and replace the previous ones
+   */
+  updateDeviceHealth(state) {
+    if (Array.isArray(state.errors)) {
+      this.deviceErrors = state.errors;
+    }
+    
+    if (Array.isArray(state.warnings)) {
+      this.deviceWarnings = state.warnings;
+    }
+    
+    if (typeof state.online === 'boolean') {
+      this.isOnline = state.online;
+    }
+    
+    // Device reported back online (poll or device.connected webhook)
+    if (state.online === true) {
+      this.recordReachability(true);
+    }
+    
+    const issues = this.deviceErrors.concat(this.deviceWarnings);
+    const codes = issues.map(issue => issue.code).filter(Boolean);
+    
+    const isJammed = codes.some(code => JAMMED_CODES.includes(code) || code.includes('jammed'));
+    const isStateUnknown = !this.isOnline || codes.some(code => UNKNOWN_STATE_CODES.includes(code));
+    const hasFault = this.deviceErrors.length > 0 || isJammed || isStateUnknown;
+    
+    if (isJammed === this.isJammed && isStateUnknown === this.isStateUnknown && hasFault === this.hasFault) {
+      return;
+    }
+    
+    const oldState = this.describeLockState();
+    this.isJammed = isJammed;
+    this.isStateUnknown = isStateUnknown;
+    this.hasFault = hasFault;
+    
+    if (hasFault) {
+      const details = issues.map(issue => issue.message ? `${issue.code} (${issue.message})` : issue.code);
+      if (!this.isOnline && !codes.length) {
+        details.push('device offline');
+      }
+      this.platform.log.warn(`${this.name} reports a problem: ${details.join(', ')}`);
+    } else {
+      this.platform.log.info(`${this.name} problems cleared`);
+    }
+    
+    if (oldState !== this.describeLockState()) {
+      this.platform.log.info(`${this.name} lock state changed: ${oldState} → ${this.describeLockState()}`);
+    }
+    
+    if (!this.lockService) {
+      return;
+    }
+    
+    const faultState = hasFault 
+      ? this.Characteristic.StatusFault.GENERAL_FAULT 
+      : this.Characteristic.StatusFault.NO_FAULT;
+    
+    this.updateLockCharacteristics();
+    
+    for (const service of this.getSensorServices()) {
+      service
+        .getCharacteristic(this.Characteristic.StatusFault)
+        .updateValue(faultState);
+    }
+  }
+
+  /**
+   * Get contact sensor state (door open/closed)
+   */
+  async getContactSensorState() {
+    this.debugLog(`HomeKit requested contact sensor state for ${this.name}`);
+    this.refreshStateIfStale();
+    this.assertReachable();
+    const state = this.isDoorOpen 
+      ? this.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED 
+      : this.Characteristic.ContactSensorState.CONTACT_DETECTED;
+    this.debugLog(`Contact sensor state for ${this.name}: ${this.isDoorOpen ? 'DOOR OPEN' : 'DOOR CLOSED'} (state value: ${state})`);
+    return state;
+  }
+
+  /**
+   * Update state from external source (webhook or polling)
+   */
+  updateState(state, source = 'polling', timestamp = Date.now()) {
+    this.debugLog(`Updating state for ${this.name}:`, state);
+    let changed = false;
+
+    // Without a restored or earlier state the battery level is a default, not worth an event
+    const isBatteryKnown = this.lastStateUpdate > 0;
+    
+    // Update lock state
+    if (typeof state.locked === 'boolean' && state.locked !== this.isLocked) {
+      const oldState = this.isLocked;
+      this.isLocked = state.locked;
+      changed = true;
+      
+      this.platform.log.info(`${this.name} lock state changed: ${oldState ? 'LOCKED' : 'UNLOCKED'} → ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}`);
+      this.updateLockCharacteristics();
+      this.recordActivity({
+        time: timestamp,
+        source,
+        locked: this.isLocked,
+        method: SEAM_METHODS[state.method] || null,
+        accessCodeId: state.access_code_id || null
+      });
+      
+      this.debugLog(`${this.name} HomeKit characteristics updated successfully`);
+    } else if (typeof state.locked === 'boolean') {
+      this.debugLog(`${this.name} lock state unchanged: ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}`);
+    }
+
+    // Update errors, warnings and online state
+    const wasOnline = this.isOnline;
+    const wasOnlineKnown = this.isOnlineKnown;
+    this.updateDeviceHealth(state);
+    if (typeof state.online === 'boolean') {
+      this.isOnlineKnown = true;
+    }
+    if (wasOnlineKnown && this.isOnline !== wasOnline) {
+      this.forwardEvent({ time: timestamp, source, type: this.isOnline ? 'device_online' : 'device_offline' });
+    }
+
+    // Update battery level
     if (typeof state.battery_level === 'number' && state.battery_level !== this.batteryLevel) {
       this.batteryLevel = state.battery_level;
       this.isLowBattery = this.batteryLevel < 20;
-      
-      // Update cache with fresh data
-      this.updateBatteryCache(this.batteryLevel, this.isLowBattery);
+      changed = true;
       
       this.batteryService
         .getCharacteristic(this.Characteristic.BatteryLevel)
@@ -627,12 +1415,20 @@ class LockAccessory {
           ? this.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW 
           : this.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
       
+      if (isBatteryKnown) {
+        this.forwardEvent({ time: timestamp, source, type: 'battery_changed' });
+      }
       this.debugLog(`${this.name} battery updated: ${this.batteryLevel}% (${this.isLowBattery ? 'LOW' : 'NORMAL'})`);
     }
 
     // Update door state (only if device supports door sensor)
     if (this.contactService && typeof state.door_open === 'boolean' && state.door_open !== this.isDoorOpen) {
       this.isDoorOpen = state.door_open;
+      changed = true;
+      
+      if (!this.isDoorOpen) {
+        this.doorClosedAt = Date.now();
+      }
       
       const contactState = this.isDoorOpen 
         ? this.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED 
@@ -642,8 +1438,424 @@ class LockAccessory {
         .getCharacteristic(this.Characteristic.ContactSensorState)
         .updateValue(contactState);
       
+      this.recordEvent({ time: timestamp, source, type: this.isDoorOpen ? 'door_opened' : 'door_closed' });
       this.debugLog(`${this.name} door state updated: ${this.isDoorOpen ? 'OPEN' : 'CLOSED'}`);
     }
+
+    // State is fresh again, onGet handlers can answer without calling the API
+    if (this.isStateRestored) {
+      this.debugLog(`${this.name} restored state replaced by fresh data`);
+      this.isStateRestored = false;
+    }
+    if (changed) {
+      this.lastSource = source;
+    }
+    this.lastStateUpdate = Date.now();
+    this.saveLastState(changed);
+    this.publishState();
+    this.updateAutoRelock();
+    this.updateOpenAlert();
+  }
+
+  /**
+   * Start, re-arm or cancel the auto-relock timer for the current lock and door state
+   * Relocks the configured delay after an unlock, and never before the door has been closed for the settle time
+   */
+  updateAutoRelock() {
+    const config = this.getAutoRelockConfig();
+    if (!config.enabled) {
+      return;
+    }
+
+    if (this.isLocked) {
+      this.cancelAutoRelock('lock is locked');
+      return;
+    }
+
+    const now = Date.now();
+    const delay = (config.delay || 60) * 1000; // Seconds to milliseconds
+    const settleTime = (config.doorSettleTime ?? 5) * 1000; // Seconds to milliseconds
+
+    if (!this.relockDueAt) {
+      this.relockDueAt = now + delay;
+      this.platform.log.info(`[AUTO-RELOCK] ${this.name} will relock in ${delay / 1000} seconds`);
+    }
+
+    clearTimeout(this.relockTimer);
+    this.relockTimer = null;
+
+    if (this.contactService && this.isDoorOpen) {
+      this.debugLog(`[AUTO-RELOCK] ${this.name} door is open, waiting for it to close`);
+      return;
+    }
+
+    const dueAt = this.contactService ? Math.max(this.relockDueAt, this.doorClosedAt + settleTime) : this.relockDueAt;
+    this.relockTimer = setTimeout(() => this.autoRelock(), Math.max(dueAt - now, 0));
+  }
+
+  /**
+   * Auto-relock settings, the AutoSecurityTimeout set from HomeKit apps overrides the config
+   */
+  getAutoRelockConfig() {
+    const config = Object.assign({}, this.config.autoRelock);
+
+    if (typeof this.autoSecurityTimeout === 'number') {
+      config.enabled = this.autoSecurityTimeout > 0;
+      config.delay = this.autoSecurityTimeout || config.delay;
+    }
+
+    return config;
+  }
+
+  /**
+   * Cancel a pending auto-relock (reason is logged, no reason cancels silently)
+   */
+  cancelAutoRelock(reason) {
+    clearTimeout(this.relockTimer);
+    this.relockTimer = null;
+
+    if (this.relockDueAt && reason) {
+      this.platform.log.info(`[AUTO-RELOCK] Cancelled for ${this.name} (${reason})`);
+    }
+    this.relockDueAt = null;
+  }
+
+  /**
+   * Create the alert sensor when an open alert is configured
+   */
+  setupOpenAlert() {
+    const config = this.config.openAlert;
+    this.alertService = null;
+
+    if (!config || !config.enabled) {
+      return;
+    }
+
+    if (config.type === 'leak') {
+      this.alertService = new this.Service.LeakSensor(`${this.name} Alert`, 'open-alert');
+      this.alertService
+        .getCharacteristic(this.Characteristic.LeakDetected)
+        .onGet(() => this.isAlertActive
+          ? this.Characteristic.LeakDetected.LEAK_DETECTED
+          : this.Characteristic.LeakDetected.LEAK_NOT_DETECTED);
+    } else {
+      this.alertService = new this.Service.MotionSensor(`${this.name} Alert`, 'open-alert');
+      this.alertService
+        .getCharacteristic(this.Characteristic.MotionDetected)
+        .onGet(() => this.isAlertActive);
+    }
+
+    this.debugLog(`${this.name} open alert enabled (${config.type === 'leak' ? 'leak' : 'motion'} sensor)`);
+  }
+
+  /**
+   * Raise or clear the open alert for the current door and lock state
+   * Door open longer than openAlert.doorOpenTime, or closed but unlocked longer than openAlert.unlockedTime
+   */
+  updateOpenAlert() {
+    const config = this.config.openAlert;
+    if (!this.alertService) {
+      return;
+    }
+
+    const now = Date.now();
+    const isDoorOpen = Boolean(this.contactService) && this.isDoorOpen;
+    const doorOpenTime = (config.doorOpenTime ?? 10) * 60 * 1000; // Minutes to milliseconds
+    const unlockedTime = (config.unlockedTime ?? 0) * 60 * 1000; // Minutes to milliseconds
+
+    this.doorOpenSince = isDoorOpen ? (this.doorOpenSince || now) : 0;
+    this.unlockedSince = !isDoorOpen && !this.isLocked ? (this.unlockedSince || now) : 0;
+
+    let reason = null;
+    let dueAt = null;
+
+    if (this.doorOpenSince && doorOpenTime) {
+      dueAt = this.doorOpenSince + doorOpenTime;
+      reason = `door open for ${Math.round((now - this.doorOpenSince) / 60000)} minute(s)`;
+    } else if (this.unlockedSince && unlockedTime) {
+      dueAt = this.unlockedSince + unlockedTime;
+      reason = `unlocked for ${Math.round((now - this.unlockedSince) / 60000)} minute(s)`;
+    }
+
+    clearTimeout(this.alertTimer);
+    this.alertTimer = null;
+
+    if (dueAt && now < dueAt) {
+      this.alertTimer = setTimeout(() => this.updateOpenAlert(), dueAt - now);
+    }
+
+    this.setOpenAlert(Boolean(dueAt) && now >= dueAt, reason);
+  }
+
+  /**
+   * Switch the alert sensor on or off
+   */
+  setOpenAlert(isActive, reason) {
+    if (isActive === this.isAlertActive) {
+      return;
+    }
+
+    this.isAlertActive = isActive;
+
+    if (isActive) {
+      this.platform.log.warn(`[ALERT] ${this.name}: ${reason}`);
+    } else {
+      this.platform.log.info(`[ALERT] ${this.name}: cleared`);
+    }
+
+    if (this.config.openAlert.type === 'leak') {
+      this.alertService
+        .getCharacteristic(this.Characteristic.LeakDetected)
+        .updateValue(isActive ? this.Characteristic.LeakDetected.LEAK_DETECTED : this.Characteristic.LeakDetected.LEAK_NOT_DETECTED);
+    } else {
+      this.alertService
+        .getCharacteristic(this.Characteristic.MotionDetected)
+        .updateValue(isActive);
+    }
+  }
+
+  /**
+   * Stop auto-relock and alert timers (accessory released or Homebridge shutting down)
+   */
+  stopTimers() {
+    this.cancelAutoRelock();
+    clearTimeout(this.alertTimer);
+    this.alertTimer = null;
+    clearTimeout(this.tamperTimer);
+    this.tamperTimer = null;
+    clearTimeout(this.accessDeniedTimer);
+    this.accessDeniedTimer = null;
+  }
+
+  /**
+   * Create the tamper and access-denied alert sensors and add StatusTampered to every sensor service
+   * The lock and battery services do not support StatusTampered, the opt-in tamper sensor shows it on locks without other sensors
+   */
+  setupSecurityAlerts() {
+    const config = this.config.securityAlerts || {};
+    this.tamperService = null;
+    this.accessDeniedService = null;
+
+    if (config.tamperAlert === true) {
+      this.tamperService = new this.Service.MotionSensor(`${this.name} Tamper`, 'tamper');
+      this.tamperService
+        .getCharacteristic(this.Characteristic.MotionDetected)
+        .onGet(() => this.isTampered);
+    }
+
+    if (config.accessDeniedAlert) {
+      this.accessDeniedService = new this.Service.MotionSensor(`${this.name} Access Denied`, 'access-denied');
+      this.accessDeniedService
+        .getCharacteristic(this.Characteristic.MotionDetected)
+        .onGet(() => this.isAccessDeniedActive);
+    }
+
+    for (const service of this.getSensorServices()) {
+      service
+        .getCharacteristic(this.Characteristic.StatusTampered)
+        .onGet(() => this.isTampered
+          ? this.Characteristic.StatusTampered.TAMPERED
+          : this.Characteristic.StatusTampered.NOT_TAMPERED);
+    }
+  }
+
+  /**
+   * Sensor services that carry StatusTampered and StatusFault
+   */
+  getSensorServices() {
+    return [this.contactService, this.alertService, this.tamperService, this.accessDeniedService].filter(Boolean);
+  }
+
+  /**
+   * Mark the lock as tampered (device.tampered event), cleared after securityAlerts.tamperResetTime
+   */
+  handleTamperEvent(eventTime) {
+    const resetTime = (this.config.securityAlerts?.tamperResetTime ?? 60) * 60 * 1000; // Minutes to milliseconds
+    const remaining = eventTime + resetTime - Date.now();
+
+    if (remaining <= 0) {
+      this.debugLog(`${this.name} tamper event from ${new Date(eventTime).toISOString()} already expired`);
+      return;
+    }
+
+    clearTimeout(this.tamperTimer);
+    this.tamperTimer = setTimeout(() => {
+      this.tamperTimer = null;
+      this.setTampered(false);
+    }, remaining);
+
+    this.setTampered(true);
+  }
+
+  /**
+   * Update StatusTampered on every sensor service
+   */
+  setTampered(isTampered) {
+    if (isTampered === this.isTampered) {
+      return;
+    }
+
+    this.isTampered = isTampered;
+
+    if (isTampered) {
+      this.platform.log.warn(`[ALERT] ${this.name}: tampering detected`);
+    } else {
+      this.platform.log.info(`[ALERT] ${this.name}: tamper status cleared`);
+    }
+
+    const value = isTampered
+      ? this.Characteristic.StatusTampered.TAMPERED
+      : this.Characteristic.StatusTampered.NOT_TAMPERED;
+
+    for (const service of this.getSensorServices()) {
+      service
+        .getCharacteristic(this.Characteristic.StatusTampered)
+        .updateValue(value);
+    }
+
+    if (this.tamperService) {
+      this.tamperService
+        .getCharacteristic(this.Characteristic.MotionDetected)
+        .updateValue(isTampered);
+    }
+  }
+
+  /**
+   * Count access-denied events and pulse the alert sensor once the threshold is reached within the window
+   */
+  handleAccessDeniedEvent(eventTime) {
+    const config = this.config.securityAlerts || {};
+    const window = (config.accessDeniedWindow ?? 5) * 60 * 1000; // Minutes to milliseconds
+    const threshold = config.accessDeniedThreshold || 3;
+    const now = Date.now();
+
+    this.accessDeniedTimes = this.accessDeniedTimes.filter(time => time > now - window);
+    if (eventTime > now - window) {
+      this.accessDeniedTimes.push(eventTime);
+    }
+
+    this.debugLog(`${this.name} access denied ${this.accessDeniedTimes.length}/${threshold} time(s) within ${window / 60000} minute(s)`);
+
+    if (!this.accessDeniedService || this.accessDeniedTimes.length < threshold) {
+      return;
+    }
+
+    this.platform.log.warn(`[ALERT] ${this.name}: access denied ${this.accessDeniedTimes.length} times within ${window / 60000} minute(s)`);
+    this.accessDeniedTimes = [];
+
+    // Pulse the sensor so every burst produces a new notification
+    this.isAccessDeniedActive = true;
+    this.accessDeniedService
+      .getCharacteristic(this.Characteristic.MotionDetected)
+      .updateValue(true);
+
+    clearTimeout(this.accessDeniedTimer);
+    this.accessDeniedTimer = setTimeout(() => {
+      this.accessDeniedTimer = null;
+      this.isAccessDeniedActive = false;
+      this.accessDeniedService
+        .getCharacteristic(this.Characteristic.MotionDetected)
+        .updateValue(false);
+    }, ACCESS_DENIED_PULSE_TIME);
+  }
+
+  /**
+   * Send the auto-relock command through the command queue
+   */
+  async autoRelock() {
+    this.relockTimer = null;
+    this.relockDueAt = null;
+
+    // The running command re-evaluates auto-relock when it finishes
+    if (this.isCommandInProgress) {
+      this.debugLog(`[AUTO-RELOCK] Command in progress for ${this.name}, skipping relock`);
+      return;
+    }
+
+    this.platform.log.info(`[AUTO-RELOCK] Relocking ${this.name}`);
+
+    try {
+      await this.queueLockCommand(true, 'auto-relock');
+    } catch (error) {
+      this.platform.log.error(`[AUTO-RELOCK] Failed to relock ${this.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Attach the cached platform accessory and restore the last known state from its context
+   * Restored state keeps its original timestamp, so it is stale and any fresh update replaces it
+   */
+  attachPlatformAccessory(platformAccessory) {
+    this.platformAccessory = platformAccessory;
+
+    // Lock management settings changed from HomeKit apps
+    if (typeof platformAccessory.context.autoSecurityTimeout === 'number') {
+      this.autoSecurityTimeout = platformAccessory.context.autoSecurityTimeout;
+    }
+    this.administratorOnlyAccess = Boolean(platformAccessory.context.administratorOnlyAccess);
+    this.logsClearedAt = platformAccessory.context.logsClearedAt || null;
+    this.updateLockManagementCharacteristics();
+
+    const saved = platformAccessory.context.lastState;
+    if (!saved || typeof saved.locked !== 'boolean' || this.lastStateUpdate) {
+      return;
+    }
+
+    this.isLocked = saved.locked;
+    if (typeof saved.batteryLevel === 'number') {
+      this.batteryLevel = saved.batteryLevel;
+      this.isLowBattery = this.batteryLevel < 20;
+    }
+    if (this.contactService && typeof saved.doorOpen === 'boolean') {
+      this.isDoorOpen = saved.doorOpen;
+    }
+    this.lastStateUpdate = saved.updatedAt || 0;
+    this.isStateRestored = true;
+
+    this.updateLockCharacteristics();
+
+    this.batteryService
+      .getCharacteristic(this.Characteristic.BatteryLevel)
+      .updateValue(this.batteryLevel);
+
+    this.batteryService
+      .getCharacteristic(this.Characteristic.StatusLowBattery)
+      .updateValue(this.isLowBattery 
+        ? this.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW 
+        : this.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
+
+    if (this.contactService) {
+      this.contactService
+        .getCharacteristic(this.Characteristic.ContactSensorState)
+        .updateValue(this.isDoorOpen 
+          ? this.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED 
+          : this.Characteristic.ContactSensorState.CONTACT_DETECTED);
+    }
+
+    const savedAt = saved.updatedAt ? new Date(saved.updatedAt).toISOString() : 'unknown time';
+    this.platform.log.info(`${this.name} restored last known state: ${this.isLocked ? 'LOCKED' : 'UNLOCKED'}, ${this.batteryLevel}% battery (from ${savedAt}), waiting for fresh data`);
+  }
+
+  /**
+   * Save the last confirmed state in the accessory context
+   * Homebridge writes the context on shutdown, changes are flushed to the cache right away
+   */
+  saveLastState(changed) {
+    if (!this.platformAccessory) {
+      return;
+    }
+
+    const isFirstSave = !this.platformAccessory.context.lastState;
+    this.platformAccessory.context.lastState = {
+      locked: this.isLocked,
+      batteryLevel: this.batteryLevel,
+      doorOpen: this.isDoorOpen,
+      updatedAt: this.lastStateUpdate
+    };
+
+    if (changed || isFirstSave) {
+      this.platform.api.updatePlatformAccessories([this.platformAccessory]);
+    }
   }
 
   /**
@@ -699,7 +1911,7 @@ class LockAccessory {
    */
   getUUID() {
     // Use a fixed UUID to avoid conflicts
-    return this.platform.api.hap.uuid.generate('seam-lock-' + this.deviceId);
+    return this.platform.getAccessoryUUID(this.deviceId);
   }
 }
 
@@ -0,0 +1,294 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Histogram buckets (in seconds)
+const API_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const POLL_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Metrics collected while running, per device gauges are read from the accessories on every scrape
+const METRICS = {
+  seam_api_requests_total: { type: 'counter', help: 'Seam API requests (every attempt, including retries) by endpoint and status' },
+  seam_api_request_duration_seconds: { type: 'histogram', help: 'Seam API request latency by endpoint and status', buckets: API_LATENCY_BUCKETS },
+  seam_polls_total: { type: 'counter', help: 'Poll cycles by result' },
+  seam_poll_duration_seconds: { type: 'histogram', help: 'Duration of a poll cycle over all devices', buckets: POLL_DURATION_BUCKETS },
+  seam_webhook_events_received_total: { type: 'counter', help: 'Seam events received by event type and source (webhook or catch-up), including ones dropped later' },
+  seam_webhook_events_rejected_total: { type: 'counter', help: 'Webhook requests and events dropped by reason and event type' }
+};
+
+/**
+ * Prometheus metrics for the Seam API, polling, webhooks and device state
+ * Served as /metrics on the webhook server, or on its own server when a port is configured
+ */
+class Metrics {
+  constructor(platform, config) {
+    this.platform = platform;
+    this.config = config || {};
+    this.server = null;
+    this.port = this.config.port || null; // Shares the webhook server unless set
+    this.bindAddress = this.config.bindAddress || '127.0.0.1'; // Own server is local only unless set
+    this.isSharedServer = false; // Served by the webhook server
+    this.tokenHash = this.config.token ? this.hashToken(this.config.token) : null;
+    this.series = new Map(Object.keys(METRICS).map(name => [name, new Map()])); // name -> label key -> series
+  }
+
+  /**
+   * Debug logging helper - checks plugin debug setting
+   */
+  debugLog(message, ...args) {
+    if (this.platform.config.debug) {
+      this.platform.log.info(`[DEBUG] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Start serving /metrics (own server only when a port is configured)
+   * The webhook server is reachable from the internet, so sharing it requires a token
+   */
+  async start() {
+    if (!this.port) {
+      if (!this.platform.webhookServer?.server) {
+        this.platform.log.error('Metrics endpoint needs its own port when the webhook server is not running, metrics are collected but not served');
+        return false;
+      }
+      if (!this.tokenHash) {
+        this.platform.log.error('Metrics endpoint on the webhook server requires a token (or set a metrics port), metrics are collected but not served');
+        return false;
+      }
+      this.isSharedServer = true;
+      this.platform.log.info('Metrics available at /metrics on the webhook server');
+      return true;
+    }
+
+    this.server = http.createServer((req, res) => {
+      if (!this.handleRequest(req, res)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found');
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.bindAddress, () => {
+          this.server.removeListener('error', reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      this.platform.log.error(`Failed to start metrics endpoint on port ${this.port}:`, error.message);
+      this.server = null;
+      return false;
+    }
+
+    this.platform.log.info(`Metrics endpoint started on ${this.bindAddress}:${this.port}`);
+    return true;
+  }
+
+  /**
+   * Stop the own server (if any)
+   */
+  async stop() {
+    this.isSharedServer = false;
+
+    if (this.server) {
+      await new Promise((resolve) => {
+        this.server.close(() => {
+          this.platform.log.info('Metrics endpoint stopped');
+          resolve();
+        });
+      });
+
+      this.server = null;
+    }
+  }
+
+  /**
+   * Handle a request if it is for /metrics, returns false otherwise
+   */
+  handleRequest(req, res) {
+    // Compare the raw path, a malformed URL must not throw in the request handler
+    if (req.url.split('?')[0] !== '/metrics') {
+      return false;
+    }
+
+    req.resume();
+
+    if (this.tokenHash && !this.isAuthorized(req.headers)) {
+      this.platform.log.warn(`Unauthorized metrics request from ${req.socket.remoteAddress}`);
+      res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' });
+      res.end('Unauthorized');
+      return true;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET, HEAD' });
+      res.end('Method Not Allowed');
+      return true;
+    }
+
+    this.debugLog(`Metrics scraped from ${req.socket.remoteAddress}`);
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(req.method === 'HEAD' ? undefined : this.render());
+    return true;
+  }
+
+  /**
+   * Check the bearer token (constant time)
+   */
+  isAuthorized(headers) {
+    const match = (headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return Boolean(match) && crypto.timingSafeEqual(this.hashToken(match[1].trim()), this.tokenHash);
+  }
+
+  /**
+   * Hash a token so tokens of different lengths compare in constant time
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+  }
+
+  /**
+   * Record a Seam API request attempt (status is the HTTP status, timeout or error)
+   */
+  recordApiRequest(endpoint, status, seconds) {
+    const labels = { endpoint, status: String(status) };
+    this.increment('seam_api_requests_total', labels);
+    this.observe('seam_api_request_duration_seconds', labels, seconds);
+  }
+
+  /**
+   * Record a poll cycle
+   */
+  recordPoll(seconds, success) {
+    this.increment('seam_polls_total', { result: success ? 'success' : 'failure' });
+    this.observe('seam_poll_duration_seconds', {}, seconds);
+  }
+
+  /**
+   * Record a received Seam event
+   */
+  recordWebhookEvent(eventType, source) {
+    this.increment('seam_webhook_events_received_total', { event_type: eventType, source });
+  }
+
+  /**
+   * Record a rejected webhook request or event (event type is unknown for requests that failed verification)
+   */
+  recordRejectedWebhook(reason, eventType = 'unknown') {
+    this.increment('seam_webhook_events_rejected_total', { event_type: eventType, reason });
+  }
+
+  /**
+   * Add to a counter
+   */
+  increment(name, labels, value = 1) {
+    this.getSeries(name, labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Add an observation to a histogram
+   */
+  observe(name, labels, value) {
+    const buckets = METRICS[name].buckets;
+    const series = this.getSeries(name, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+    buckets.forEach((bucket, i) => {
+      if (value <= bucket) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Series of a metric for a label set, created on first use
+   */
+  getSeries(name, labels, create) {
+    const seriesByLabels = this.series.get(name);
+    const key = JSON.stringify(labels);
+
+    if (!seriesByLabels.has(key)) {
+      seriesByLabels.set(key, Object.assign({ labels }, create()));
+    }
+
+    return seriesByLabels.get(key);
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format
+   */
+  render() {
+    const lines = [];
+
+    for (const [name, definition] of Object.entries(METRICS)) {
+      lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+
+      for (const series of this.series.get(name).values()) {
+        if (definition.type === 'histogram') {
+          definition.buckets.forEach((bucket, i) => {
+            lines.push(`${name}_bucket${this.formatLabels(Object.assign({}, series.labels, { le: String(bucket) }))} ${series.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${this.formatLabels(Object.assign({}, series.labels, { le: '+Inf' }))} ${series.count}`);
+          lines.push(`${name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+          lines.push(`${name}_count${this.formatLabels(series.labels)} ${series.count}`);
+        } else {
+          lines.push(`${name}${this.formatLabels(series.labels)} ${series.value}`);
+        }
+      }
+    }
+
+    lines.push(...this.renderGauges());
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Current API and device state as gauges
+   */
+  renderGauges() {
+    const now = Date.now();
+    const accessories = this.platform.accessories;
+    const gauges = [
+      ['seam_lock_locked', 'Lock is locked (1) or unlocked (0)', acc => acc.isLocked ? 1 : 0],
+      ['seam_lock_battery_level', 'Battery level in percent', acc => acc.batteryLevel],
+      ['seam_lock_door_open', 'Door is open (1) or closed (0), only for locks with a door sensor', acc => acc.supportsDoorSensor ? (acc.isDoorOpen ? 1 : 0) : null],
+      ['seam_lock_online', 'Seam reports the lock online (1) or offline (0)', acc => acc.isOnline ? 1 : 0],
+      ['seam_lock_reachable', 'Lock answers HomeKit (1) or shows No Response (0)', acc => acc.isUnreachable ? 0 : 1],
+      ['seam_lock_last_update_age_seconds', 'Seconds since the lock state was last confirmed', acc => acc.lastStateUpdate ? (now - acc.lastStateUpdate) / 1000 : null]
+    ];
+    const lines = [
+      '# HELP seam_api_circuit_open Seam API circuit breaker is open (1) or closed (0)',
+      '# TYPE seam_api_circuit_open gauge',
+      `seam_api_circuit_open ${this.platform.seamAPI?.isCircuitOpen ? 1 : 0}`
+    ];
+
+    for (const [name, help, getValue] of gauges) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+
+      for (const accessory of accessories) {
+        const value = getValue(accessory);
+        if (value !== null) {
+          lines.push(`${name}${this.formatLabels({ device_id: accessory.deviceId, name: accessory.name })} ${value}`);
+        }
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Label set as {name="value",...} with escaped values
+   */
+  formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => {
+      const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${name}="${escaped}"`;
+    });
+
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,291 @@
+'use strict';
+
+const MqttClient = require('./mqttClient');
+
+/**
+ * Mirror lock state to an MQTT broker and accept lock/unlock commands from it
+ *   <baseTopic>/status              online/offline (retained, offline is the will)
+ *   <baseTopic>/<deviceId>/state    JSON state (retained)
+ *   <baseTopic>/<deviceId>/set      LOCK or UNLOCK
+ * Optionally announces every lock through Home Assistant MQTT discovery
+ */
+class MqttBridge {
+  constructor(platform, config) {
+    this.platform = platform;
+    this.config = config || {};
+    this.baseTopic = (this.config.baseTopic || 'seam').replace(/\/+$/, '');
+    this.discoveryPrefix = (this.config.homeAssistant?.prefix || 'homeassistant').replace(/\/+$/, '');
+    this.isDiscoveryEnabled = Boolean(this.config.homeAssistant?.enabled);
+    this.client = null;
+    this.publishedStates = new Map(); // deviceId -> last published state JSON
+    this.announcedDevices = new Set(); // Devices announced to Home Assistant since connecting
+  }
+
+  /**
+   * Debug logging helper - checks plugin debug setting
+   */
+  debugLog(message, ...args) {
+    if (this.platform.config.debug) {
+      this.platform.log.info(`[DEBUG] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Connect to the broker (in the background, reconnects until stopped)
+   */
+  start() {
+    if (!this.config.url) {
+      this.platform.log.error('MQTT broker URL is required when MQTT is enabled');
+      return false;
+    }
+
+    let url = null;
+    try {
+      url = new URL(this.config.url);
+    } catch (error) {
+      // Reported below
+    }
+
+    if (!url || (url.protocol !== 'mqtt:' && url.protocol !== 'mqtts:')) {
+      this.platform.log.error(`MQTT broker URL ${this.config.url} is not a valid mqtt:// or mqtts:// URL, MQTT disabled`);
+      return false;
+    }
+
+    this.client = new MqttClient({
+      url: this.config.url,
+      username: this.config.username,
+      password: this.config.password,
+      clientId: this.config.clientId,
+      rejectUnauthorized: this.config.rejectUnauthorized,
+      will: { topic: this.getStatusTopic(), payload: 'offline', retain: true }
+    });
+
+    this.client.on('connect', () => {
+      this.handleConnect();
+    });
+    this.client.on('close', () => {
+      this.platform.log.warn('[MQTT] Disconnected from broker, reconnecting...');
+    });
+    this.client.on('message', (topic, payload, packet) => {
+      this.handleMessage(topic, payload.toString('utf8'), packet);
+    });
+    this.client.on('error', (error) => {
+      this.platform.log.error('[MQTT] Broker connection error:', error.message);
+    });
+
+    this.client.connect();
+    this.debugLog(`Connecting to MQTT broker ${this.config.url}`);
+    return true;
+  }
+
+  /**
+   * Mark the bridge offline and disconnect
+   */
+  async stop() {
+    if (!this.client) {
+      return;
+    }
+
+    this.client.publish(this.getStatusTopic(), 'offline', { retain: true });
+    await this.client.end();
+    this.client = null;
+    this.platform.log.info('[MQTT] Disconnected from broker');
+  }
+
+  /**
+   * Connected - announce availability, subscribe to commands and publish every state
+   */
+  handleConnect() {
+    this.platform.log.info(`[MQTT] Connected to broker ${this.config.url}`);
+
+    this.client.publish(this.getStatusTopic(), 'online', { retain: true });
+    this.client.subscribe(`${this.baseTopic}/+/set`);
+
+    // The broker may have lost retained messages, publish everything again
+    this.publishedStates.clear();
+    this.announcedDevices.clear();
+    for (const accessory of this.platform.accessories) {
+      this.publishState(accessory);
+    }
+  }
+
+  /**
+   * Handle a command on <baseTopic>/<deviceId>/set
+   * Retained commands are dropped, the broker would replay them on every reconnect
+   */
+  handleMessage(topic, payload, packet = {}) {
+    const match = topic.match(/^(.+)\/([^/]+)\/set$/);
+    if (!match || match[1] !== this.baseTopic) {
+      return;
+    }
+
+    const deviceId = match[2];
+    if (packet.retain) {
+      this.platform.log.warn(`[MQTT] Retained command "${payload}" on ${topic} ignored, publish commands without the retain flag`);
+      return;
+    }
+
+    const command = payload.trim().toUpperCase();
+    const accessory = this.platform.accessories.find(acc => acc.deviceId === deviceId);
+
+    if (!accessory) {
+      this.platform.log.warn(`[MQTT] Command for unknown device ${deviceId} ignored`);
+      return;
+    }
+    if (command !== 'LOCK' && command !== 'UNLOCK') {
+      this.platform.log.warn(`[MQTT] Unknown command "${payload}" for ${accessory.name} ignored (expected LOCK or UNLOCK)`);
+      return;
+    }
+
+    this.platform.log.info(`[MQTT] ${command === 'LOCK' ? 'Lock' : 'Unlock'} requested for ${accessory.name}`);
+
+    const TargetState = this.platform.api.hap.Characteristic.LockTargetState;
+    accessory.setLockTargetState(command === 'LOCK' ? TargetState.SECURED : TargetState.UNSECURED, 'mqtt')
+      .catch(() => {
+        // Already logged by the accessory, the state topic keeps the last confirmed state
+      });
+  }
+
+  /**
+   * Publish the state of a lock if it changed since the last publish
+   */
+  publishState(accessory) {
+    if (!this.client || !this.client.isConnected) {
+      return;
+    }
+
+    if (this.isDiscoveryEnabled && !this.announcedDevices.has(accessory.deviceId)) {
+      this.announceDevice(accessory);
+    }
+
+    const status = accessory.getStatus();
+    const state = JSON.stringify({
+      state: status.state,
+      locked: status.locked,
+      battery_level: status.batteryLevel,
+      low_battery: status.lowBattery,
+      door_open: status.doorOpen,
+      online: status.online,
+      reachable: status.reachable,
+      errors: status.errors,
+      last_source: status.lastSource
+    });
+
+    if (this.publishedStates.get(accessory.deviceId) === state) {
+      return;
+    }
+
+    this.client.publish(this.getDeviceTopic(accessory, 'state'), state, { retain: true });
+    this.publishedStates.set(accessory.deviceId, state);
+    this.debugLog(`Published MQTT state for ${accessory.name}: ${state}`);
+  }
+
+  /**
+   * Clear the retained state and discovery messages of a removed lock
+   */
+  removeDevice(accessory) {
+    this.publishedStates.delete(accessory.deviceId);
+    this.announcedDevices.delete(accessory.deviceId);
+
+    if (!this.client || !this.client.isConnected) {
+      return;
+    }
+
+    this.client.publish(this.getDeviceTopic(accessory, 'state'), '', { retain: true });
+    if (this.isDiscoveryEnabled) {
+      for (const component of ['lock', 'sensor', 'binary_sensor']) {
+        this.client.publish(this.getDiscoveryTopic(component, accessory), '', { retain: true });
+      }
+    }
+  }
+
+  /**
+   * Home Assistant discovery messages - a lock, a battery sensor and a door sensor (if supported)
+   */
+  announceDevice(accessory) {
+    const objectId = this.getObjectId(accessory);
+    const stateTopic = this.getDeviceTopic(accessory, 'state');
+    const device = {
+      identifiers: [objectId],
+      name: accessory.name,
+      manufacturer: accessory.deviceInfo.manufacturer,
+      model: accessory.deviceInfo.model,
+      sw_version: accessory.deviceInfo.firmwareVersion
+    };
+    const availability = {
+      availability: [
+        { topic: this.getStatusTopic() },
+        { topic: stateTopic, value_template: "{{ 'online' if value_json.reachable else 'offline' }}" }
+      ],
+      availability_mode: 'all'
+    };
+
+    this.client.publish(this.getDiscoveryTopic('lock', accessory), JSON.stringify(Object.assign({
+      name: null,
+      unique_id: `${objectId}_lock`,
+      device,
+      state_topic: stateTopic,
+      value_template: '{{ value_json.state | upper }}',
+      command_topic: this.getDeviceTopic(accessory, 'set'),
+      json_attributes_topic: stateTopic
+    }, availability)), { retain: true });
+
+    this.client.publish(this.getDiscoveryTopic('sensor', accessory), JSON.stringify(Object.assign({
+      name: 'Battery',
+      unique_id: `${objectId}_battery`,
+      device,
+      device_class: 'battery',
+      unit_of_measurement: '%',
+      state_class: 'measurement',
+      state_topic: stateTopic,
+      value_template: '{{ value_json.battery_level }}'
+    }, availability)), { retain: true });
+
+    const doorTopic = this.getDiscoveryTopic('binary_sensor', accessory);
+    if (accessory.supportsDoorSensor) {
+      this.client.publish(doorTopic, JSON.stringify(Object.assign({
+        name: 'Door',
+        unique_id: `${objectId}_door`,
+        device,
+        device_class: 'door',
+        state_topic: stateTopic,
+        value_template: "{{ 'ON' if value_json.door_open else 'OFF' }}"
+      }, availability)), { retain: true });
+    } else {
+      this.client.publish(doorTopic, '', { retain: true });
+    }
+
+    this.announcedDevices.add(accessory.deviceId);
+    this.debugLog(`Announced ${accessory.name} to Home Assistant`);
+  }
+
+  /**
+   * Bridge availability topic
+   */
+  getStatusTopic() {
+    return `${this.baseTopic}/status`;
+  }
+
+  /**
+   * Topic of a lock (state or set)
+   */
+  getDeviceTopic(accessory, suffix) {
+    return `${this.baseTopic}/${accessory.deviceId}/${suffix}`;
+  }
+
+  /**
+   * Home Assistant discovery config topic of a lock component
+   */
+  getDiscoveryTopic(component, accessory) {
+    return `${this.discoveryPrefix}/${component}/${this.getObjectId(accessory)}/config`;
+  }
+
+  /**
+   * Home Assistant object ID of a lock
+   */
+  getObjectId(accessory) {
+    return `seam_${String(accessory.deviceId).replace(/[^\w-]/g, '_')}`;
+  }
+}
+
+module.exports = MqttBridge;
@@ -0,0 +1,343 @@
+'use strict';
+
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// MQTT 3.1.1 control packet types (upper nibble of the first byte)
+const CONNECT = 1;
+const CONNACK = 2;
+const PUBLISH = 3;
+const PUBACK = 4;
+const SUBSCRIBE = 8;
+const SUBACK = 9;
+const PINGREQ = 12;
+const PINGRESP = 13;
+const DISCONNECT = 14;
+
+// CONNACK return codes
+const CONNACK_ERRORS = {
+  1: 'unacceptable protocol version',
+  2: 'client identifier rejected',
+  3: 'server unavailable',
+  4: 'bad user name or password',
+  5: 'not authorized'
+};
+
+// Reconnect backoff
+const MIN_RECONNECT_DELAY = 1000; // 1 second
+const MAX_RECONNECT_DELAY = 60 * 1000; // 1 minute
+
+/**
+ * Minimal MQTT 3.1.1 client (QoS 0) over TCP or TLS
+ * Uses native net/tls modules without external dependencies
+ * Events: connect, close, message (topic, payload Buffer, { retain }), error
+ */
+class MqttClient extends EventEmitter {
+  constructor(options) {
+    super();
+    this.url = new URL(options.url);
+    this.username = options.username || null;
+    this.password = options.password || null;
+    this.clientId = options.clientId || `homebridge-seam-${crypto.randomBytes(4).toString('hex')}`;
+    this.keepalive = options.keepalive || 60; // Seconds
+    this.will = options.will || null; // { topic, payload, retain }
+    this.rejectUnauthorized = options.rejectUnauthorized !== false;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.isConnected = false;
+    this.isStopped = false;
+    this.packetId = 0;
+    this.pingTimer = null;
+    this.isPingPending = false;
+    this.reconnectTimer = null;
+    this.reconnectDelay = MIN_RECONNECT_DELAY;
+  }
+
+  /**
+   * Connect to the broker, reconnects with backoff until end() is called
+   */
+  connect() {
+    this.isStopped = false;
+    const isTls = this.url.protocol === 'mqtts:';
+    const port = Number(this.url.port) || (isTls ? 8883 : 1883);
+    const host = this.url.hostname;
+
+    this.buffer = Buffer.alloc(0);
+    this.socket = isTls
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized: this.rejectUnauthorized })
+      : net.connect({ host, port });
+
+    this.socket.on(isTls ? 'secureConnect' : 'connect', () => {
+      this.socket.write(this.encodeConnect());
+    });
+    this.socket.on('data', (data) => {
+      this.handleData(data);
+    });
+    this.socket.on('error', (error) => {
+      this.emit('error', error);
+    });
+    this.socket.on('close', () => {
+      this.handleClose();
+    });
+  }
+
+  /**
+   * Disconnect and stop reconnecting
+   */
+  end() {
+    this.isStopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (!this.socket) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.socket.once('close', resolve);
+      if (this.isConnected) {
+        this.socket.end(Buffer.from([DISCONNECT << 4, 0]));
+      } else {
+        this.socket.destroy();
+      }
+    });
+  }
+
+  /**
+   * Publish a message (QoS 0), dropped while disconnected
+   */
+  publish(topic, payload, options = {}) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    const flags = options.retain ? 1 : 0;
+    this.socket.write(this.encodePacket((PUBLISH << 4) | flags, [this.encodeString(topic), Buffer.from(payload)]));
+    return true;
+  }
+
+  /**
+   * Subscribe to a topic filter (QoS 0)
+   */
+  subscribe(topic) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    this.socket.write(this.encodePacket((SUBSCRIBE << 4) | 2, [this.encodeUInt16(this.nextPacketId()), this.encodeString(topic), Buffer.from([0])]));
+    return true;
+  }
+
+  /**
+   * Connection lost - schedule a reconnect
+   */
+  handleClose() {
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+    this.socket = null;
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+
+    if (wasConnected) {
+      this.emit('close');
+    }
+
+    if (this.isStopped) {
+      return;
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  }
+
+  /**
+   * Split received data into packets
+   */
+  handleData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.buffer.length >= 2) {
+      // Remaining length is a variable length integer of up to 4 bytes
+      let length = 0;
+      let multiplier = 1;
+      let offset = 1;
+      let byte;
+
+      do {
+        if (offset >= this.buffer.length) {
+          return; // Wait for the rest of the header
+        }
+        byte = this.buffer[offset++];
+        length += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+      } while ((byte & 0x80) && offset < 5);
+
+      if (this.buffer.length < offset + length) {
+        return; // Wait for the rest of the packet
+      }
+
+      const header = this.buffer[0];
+      const body = this.buffer.subarray(offset, offset + length);
+      this.buffer = this.buffer.subarray(offset + length);
+      this.handlePacket(header >> 4, header & 0x0f, body);
+    }
+  }
+
+  /**
+   * Handle a received packet
+   */
+  handlePacket(type, flags, body) {
+    switch (type) {
+      case CONNACK: {
+        const returnCode = body[1];
+        if (returnCode !== 0) {
+          this.emit('error', new Error(`Connection refused: ${CONNACK_ERRORS[returnCode] || `code ${returnCode}`}`));
+          this.socket.destroy();
+          return;
+        }
+
+        this.isConnected = true;
+        this.reconnectDelay = MIN_RECONNECT_DELAY;
+        this.startPing();
+        this.emit('connect');
+        break;
+      }
+      case PUBLISH: {
+        const qos = (flags >> 1) & 0x03;
+        const topicLength = body.length >= 2 ? body.readUInt16BE(0) : 0;
+        let offset = 2 + topicLength;
+
+        // Topic and packet identifier (QoS 1 and 2) must fit in the packet
+        if (body.length < offset + (qos > 0 ? 2 : 0)) {
+          this.emit('error', new Error('Malformed PUBLISH packet from broker'));
+          this.socket.destroy();
+          return;
+        }
+
+        const topic = body.toString('utf8', 2, offset);
+
+        // Only QoS 0 is subscribed, acknowledge QoS 1 anyway in case the broker upgrades
+        if (qos > 0) {
+          const packetId = body.readUInt16BE(offset);
+          offset += 2;
+          if (qos === 1) {
+            this.socket.write(this.encodePacket(PUBACK << 4, [this.encodeUInt16(packetId)]));
+          }
+        }
+
+        this.emit('message', topic, body.subarray(offset), { retain: Boolean(flags & 0x01) });
+        break;
+      }
+      case SUBACK:
+        if (body[2] === 0x80) {
+          this.emit('error', new Error('Subscription rejected by broker'));
+        }
+        break;
+      case PINGRESP:
+        this.isPingPending = false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Send keepalive pings, a ping without response drops the connection
+   */
+  startPing() {
+    clearInterval(this.pingTimer);
+    this.isPingPending = false;
+
+    this.pingTimer = setInterval(() => {
+      if (this.isPingPending) {
+        this.emit('error', new Error('Broker did not answer ping'));
+        this.socket.destroy();
+        return;
+      }
+
+      this.isPingPending = true;
+      this.socket.write(Buffer.from([PINGREQ << 4, 0]));
+    }, this.keepalive * 1000);
+  }
+
+  /**
+   * CONNECT packet with clean session, optional will and credentials
+   */
+  encodeConnect() {
+    let connectFlags = 0x02; // Clean session
+    const payload = [this.encodeString(this.clientId)];
+
+    if (this.will) {
+      connectFlags |= 0x04 | (this.will.retain ? 0x20 : 0);
+      payload.push(this.encodeString(this.will.topic), this.encodeString(this.will.payload));
+    }
+    if (this.username) {
+      connectFlags |= 0x80;
+      payload.push(this.encodeString(this.username));
+    }
+    if (this.password) {
+      connectFlags |= 0x40;
+      payload.push(this.encodeString(this.password));
+    }
+
+    return this.encodePacket(CONNECT << 4, [
+      this.encodeString('MQTT'),
+      Buffer.from([4, connectFlags]), // Protocol level 4 (3.1.1)
+      this.encodeUInt16(this.keepalive),
+      ...payload
+    ]);
+  }
+
+  /**
+   * Fixed header (type and flags, remaining length) followed by the parts
+   */
+  encodePacket(header, parts) {
+    const body = Buffer.concat(parts);
+    const length = [];
+    let remaining = body.length;
+
+    do {
+      let byte = remaining % 128;
+      remaining = Math.floor(remaining / 128);
+      if (remaining > 0) {
+        byte |= 0x80;
+      }
+      length.push(byte);
+    } while (remaining > 0);
+
+    return Buffer.concat([Buffer.from([header, ...length]), body]);
+  }
+
+  /**
+   * Length prefixed UTF-8 string
+   */
+  encodeString(value) {
+    const data = Buffer.from(String(value));
+    return Buffer.concat([this.encodeUInt16(data.length), data]);
+  }
+
+  /**
+   * Two byte big endian integer
+   */
+  encodeUInt16(value) {
+    const data = Buffer.alloc(2);
+    data.writeUInt16BE(value);
+    return data;
+  }
+
+  /**
+   * Next packet identifier (1-65535)
+   */
+  nextPacketId() {
+    this.packetId = (this.packetId % 0xffff) + 1;
+    return this.packetId;
+  }
+}
+
+module.exports = MqttClient;
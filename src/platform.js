@@ -1,8 +1,17 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const SeamAPI = require('./seamapi');
 const LockAccessory = require('./lockAccessory');
 const WebhookServer = require('./webhookServer');
+const EventCatchUp = require('./eventCatchUp');
+const AccessCodeManager = require('./accessCodeManager');
+const EventStore = require('./eventStore');
+const AdminApi = require('./adminApi');
+const MqttBridge = require('./mqttBridge');
+const Metrics = require('./metrics');
+const EventSinks = require('./eventSinks');
 
 /**
  * Seam Platform for Homebridge
@@ -18,7 +27,18 @@ class SeamPlatform {
     this.accessories = [];
     this.platformAccessories = new Map();
     this.pollingInterval = null;
+    this.discoveryInterval = null;
+    this.isDiscoveryRunning = false;
+    this.namePatterns = new Map();
+    this.missingDeviceIds = new Set();
     this.webhookServer = null;
+    this.eventCatchUp = null;
+    this.accessCodeManager = null;
+    this.eventStore = null;
+    this.adminApi = null;
+    this.mqttBridge = null;
+    this.metrics = null;
+    this.eventSinks = null;
 
     // Validate config
     if (!config) {
@@ -31,15 +51,38 @@ class SeamPlatform {
       return;
     }
 
-    if (!config.devices || !Array.isArray(config.devices) || config.devices.length === 0) {
-      this.log.error('At least one device must be configured');
+    if (!this.isDiscoveryEnabled() && (!config.devices || !Array.isArray(config.devices) || config.devices.length === 0)) {
+      this.log.error('At least one device must be configured (or enable automatic discovery)');
       return;
     }
 
     // Initialize Seam API
-    this.seamAPI = new SeamAPI(config.apiKey, this.log);
+    this.seamAPI = new SeamAPI(config.apiKey, this.log, Object.assign({ debug: config.debug }, config.api));
     this.log.info('Seam API initialized');
 
+    // Prometheus metrics, collected from the start and served once the servers are up
+    if (config.metrics?.enabled) {
+      this.metrics = new Metrics(this, config.metrics);
+      this.seamAPI.metrics = this.metrics;
+    }
+
+    // Event history on disk
+    if (config.history?.enabled !== false) {
+      try {
+        this.eventStore = new EventStore(this, config.history);
+        this.eventStore.pruneAll();
+      } catch (error) {
+        this.log.error('Failed to open event history, events will not be stored:', error.message);
+        this.eventStore = null;
+      }
+    }
+
+    // Forward events to user configured endpoints
+    if (Array.isArray(config.eventSinks) && config.eventSinks.length > 0) {
+      this.eventSinks = new EventSinks(this, config.eventSinks);
+      this.eventSinks.start();
+    }
+
     // Wait for homebridge to finish launching
     this.api.on('didFinishLaunching', () => {
       this.discoverDevices();
@@ -60,6 +103,13 @@ class SeamPlatform {
     }
   }
 
+  /**
+   * Check if automatic device discovery is enabled
+   */
+  isDiscoveryEnabled() {
+    return Boolean(this.config.discovery && this.config.discovery.enabled);
+  }
+
   /**
    * Configure cached accessory (restored from disk)
    */
@@ -96,11 +146,21 @@ class SeamPlatform {
     this.debugLog(`Device configuration:`, this.config.devices);
 
     try {
-      // Setup each configured device
-      for (let i = 0; i < this.config.devices.length; i++) {
-        const deviceConfig = this.config.devices[i];
-        this.debugLog(`[${i + 1}/${this.config.devices.length}] Setting up device: ${deviceConfig.deviceId}`);
-        await this.setupDevice(deviceConfig);
+      if (this.isDiscoveryEnabled()) {
+        // Find locks in the Seam workspace and keep looking for added/removed ones
+        await this.discoverWorkspaceDevices();
+        this.startDiscovery();
+      } else {
+        // Setup each configured device
+        for (let i = 0; i < this.config.devices.length; i++) {
+          const deviceConfig = this.config.devices[i];
+          this.debugLog(`[${i + 1}/${this.config.devices.length}] Setting up device: ${deviceConfig.deviceId}`);
+          await this.setupDevice(deviceConfig);
+        }
+
+        // Keep checking so unclaimed accessories are removed once their grace period is over
+        this.reconcileConfiguredAccessories();
+        this.startDiscovery();
       }
 
       this.log.info(`Device setup completed. Total accessories: ${this.accessories.length}`);
@@ -111,25 +171,343 @@ class SeamPlatform {
       this.startPolling();
 
       this.log.info(`Configured ${this.accessories.length} device(s)`);
-
-      // Start webhook server if enabled (after devices are configured)
-      if (this.config.webhooks && this.config.webhooks.enabled) {
-        this.log.info('Starting webhook server...');
-        this.webhookServer = new WebhookServer(this, this.config.webhooks);
-        await this.webhookServer.start();
-      } else {
-        this.debugLog('Webhook server disabled in configuration');
-      }
     } catch (error) {
       this.log.error('Failed to discover devices:', error.message);
       this.debugLog('Error details:', error);
     }
+
+    // Each subsystem starts on its own, one failing must not keep the others from starting
+    await this.startSubsystem('webhook server', () => this.startWebhooks());
+
+    // Mirror lock state to MQTT
+    if (this.config.mqtt?.enabled) {
+      await this.startSubsystem('MQTT bridge', () => {
+        const mqttBridge = new MqttBridge(this, this.config.mqtt);
+        if (mqttBridge.start()) {
+          this.mqttBridge = mqttBridge;
+        }
+      });
+    }
+
+    // Serve /metrics
+    if (this.metrics) {
+      await this.startSubsystem('metrics endpoint', () => this.metrics.start());
+    }
+
+    // Local admin API (on the webhook server unless it has its own port)
+    if (this.config.adminApi?.enabled) {
+      await this.startSubsystem('admin API', async () => {
+        const adminApi = new AdminApi(this, this.config.adminApi);
+        if (await adminApi.start()) {
+          this.adminApi = adminApi;
+        }
+      });
+    }
+
+    // Bring access codes in line with the config
+    if (this.accessories.some(accessory => accessory.config.accessCodes)) {
+      await this.startSubsystem('access code management', async () => {
+        this.accessCodeManager = new AccessCodeManager(this);
+        await this.accessCodeManager.reconcileAll();
+        this.accessCodeManager.start();
+      });
+    }
+  }
+
+  /**
+   * Start a subsystem, logging a failure instead of throwing
+   */
+  async startSubsystem(name, start) {
+    try {
+      await start();
+    } catch (error) {
+      this.log.error(`Failed to start ${name}:`, error.message);
+      this.debugLog('Error details:', error);
+    }
+  }
+
+  /**
+   * Start the webhook server and replay missed events, or remove the registration left behind when disabled
+   */
+  async startWebhooks() {
+    if (!this.config.webhooks?.enabled) {
+      this.debugLog('Webhook server disabled in configuration');
+      // Remove the registration left behind from when webhooks were enabled
+      await new WebhookServer(this, this.config.webhooks || {}).unregister();
+      return;
+    }
+
+    this.log.info('Starting webhook server...');
+    this.eventCatchUp = new EventCatchUp(this, this.config.webhooks);
+    this.webhookServer = new WebhookServer(this, this.config.webhooks);
+    await this.webhookServer.start();
+
+    // Replay events missed while Homebridge was down
+    await this.eventCatchUp.run('startup');
+    this.eventCatchUp.start();
+  }
+
+  /**
+   * Start periodic discovery passes (stale accessory checks only without automatic discovery)
+   */
+  startDiscovery() {
+    const interval = (this.config.discovery?.interval || 300) * 1000; // Convert to milliseconds
+
+    if (this.discoveryInterval) {
+      clearInterval(this.discoveryInterval);
+    }
+
+    this.discoveryInterval = setInterval(() => {
+      this.debugLog('Discovery interval triggered');
+      if (this.isDiscoveryEnabled()) {
+        this.discoverWorkspaceDevices();
+      } else {
+        this.reconcileConfiguredAccessories();
+      }
+    }, interval);
+
+    if (this.isDiscoveryEnabled()) {
+      this.log.info(`Automatic discovery will check for added or removed locks every ${interval / 1000} seconds`);
+    } else {
+      this.debugLog(`Stale accessories will be checked every ${interval / 1000} seconds`);
+    }
+  }
+
+  /**
+   * Reconcile cached accessories against the configured devices
+   * Configured devices stay claimed even if setup failed, unless Seam says they do not exist
+   */
+  reconcileConfiguredAccessories() {
+    const claimedIds = this.config.devices
+      .map(deviceConfig => deviceConfig.deviceId)
+      .filter(deviceId => deviceId && !this.missingDeviceIds.has(deviceId));
+    this.reconcileAccessories(claimedIds);
+  }
+
+  /**
+   * Discovery pass - add new locks from the Seam workspace and remove the ones that are gone
+   */
+  async discoverWorkspaceDevices() {
+    if (this.isDiscoveryRunning) {
+      this.debugLog('Discovery pass already running, skipping');
+      return;
+    }
+
+    this.isDiscoveryRunning = true;
+
+    try {
+      let devices;
+      try {
+        devices = await this.seamAPI.listDevices();
+      } catch (error) {
+        // Keep existing accessories - an API outage must not remove every lock
+        this.log.error('Device discovery pass skipped, failed to list devices:', error.message);
+        return;
+      }
+
+      const locks = devices.filter(device => this.isLockDevice(device) && (this.getDeviceOverride(device.device_id) || this.matchesDiscoveryFilters(device)));
+      this.log.info(`Discovery found ${locks.length} lock(s) out of ${devices.length} device(s) in the Seam workspace`);
+
+      // Add locks we do not have yet
+      for (const device of locks) {
+        const existing = this.accessories.find(acc => acc.deviceId === device.device_id);
+        if (existing) {
+          existing.device = device;
+          continue;
+        }
+
+        const deviceConfig = Object.assign({}, this.getDeviceOverride(device.device_id), { deviceId: device.device_id });
+        this.debugLog(`Discovered new lock: ${device.properties?.name || device.device_id} (${device.device_id})`);
+        await this.setupDevice(deviceConfig, device);
+      }
+
+      // Stop tracking locks that are gone from the workspace or no longer match the filters
+      const discoveredIds = new Set(locks.map(device => device.device_id));
+      for (const accessory of this.accessories.slice()) {
+        if (!discoveredIds.has(accessory.deviceId)) {
+          this.log.info(`Lock ${accessory.name} (${accessory.deviceId}) is no longer discovered in Seam`);
+          this.releaseAccessory(accessory);
+        }
+      }
+
+      // Only a successful pass may unregister accessories
+      this.reconcileAccessories(Array.from(discoveredIds));
+    } finally {
+      this.isDiscoveryRunning = false;
+    }
+  }
+
+  /**
+   * Check if a Seam device is a lock
+   */
+  isLockDevice(device) {
+    return Boolean(device && (
+      device.can_remotely_lock ||
+      device.can_remotely_unlock ||
+      typeof device.properties?.locked === 'boolean'
+    ));
+  }
+
+  /**
+   * Get per-device override from the devices array
+   */
+  getDeviceOverride(deviceId) {
+    if (!Array.isArray(this.config.devices)) {
+      return null;
+    }
+
+    return this.config.devices.find(deviceConfig => deviceConfig.deviceId === deviceId) || null;
+  }
+
+  /**
+   * Check a device against the discovery include/exclude filters
+   */
+  matchesDiscoveryFilters(device) {
+    const include = this.config.discovery?.include || {};
+    const exclude = this.config.discovery?.exclude || {};
+
+    const matches = (filter, requireAll) => {
+      const checks = [];
+      const manufacturer = String(device.properties?.manufacturer || '').toLowerCase();
+      const deviceType = String(device.device_type || '').toLowerCase();
+      const name = device.properties?.name || device.display_name || '';
+
+      if (Array.isArray(filter.manufacturers) && filter.manufacturers.length > 0) {
+        checks.push(filter.manufacturers.some(value => String(value).toLowerCase() === manufacturer));
+      }
+      if (Array.isArray(filter.connectedAccountIds) && filter.connectedAccountIds.length > 0) {
+        checks.push(filter.connectedAccountIds.includes(device.connected_account_id));
+      }
+      if (Array.isArray(filter.deviceTypes) && filter.deviceTypes.length > 0) {
+        checks.push(filter.deviceTypes.some(value => String(value).toLowerCase() === deviceType));
+      }
+      if (filter.namePattern) {
+        const pattern = this.compileNamePattern(filter.namePattern);
+        if (pattern) {
+          checks.push(pattern.test(name));
+        }
+      }
+
+      if (checks.length === 0) {
+        return requireAll;
+      }
+
+      return requireAll ? checks.every(Boolean) : checks.some(Boolean);
+    };
+
+    // Every include filter must match, any exclude filter rejects the device
+    if (!matches(include, true)) {
+      this.debugLog(`Device ${device.device_id} does not match discovery include filters`);
+      return false;
+    }
+
+    if (matches(exclude, false)) {
+      this.debugLog(`Device ${device.device_id} matches discovery exclude filters`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Compile a name pattern (case-insensitive), logging invalid ones only once
+   */
+  compileNamePattern(source) {
+    if (!this.namePatterns.has(source)) {
+      try {
+        this.namePatterns.set(source, new RegExp(source, 'i'));
+      } catch (error) {
+        this.log.error(`Invalid discovery name pattern "${source}":`, error.message);
+        this.namePatterns.set(source, null);
+      }
+    }
+
+    return this.namePatterns.get(source);
+  }
+
+  /**
+   * Stop polling and routing events to a lock accessory
+   * The platform accessory is unregistered by reconcileAccessories once its grace period is over
+   */
+  releaseAccessory(lockAccessory) {
+    lockAccessory.stopTimers();
+    if (this.mqttBridge) {
+      this.mqttBridge.removeDevice(lockAccessory);
+    }
+    this.accessories = this.accessories.filter(acc => acc !== lockAccessory);
+  }
+
+  /**
+   * Get accessory UUID for a Seam device
+   */
+  getAccessoryUUID(deviceId) {
+    return this.api.hap.uuid.generate('seam-lock-' + deviceId);
+  }
+
+  /**
+   * Unregister cached accessories that are not claimed by any configured or discovered device
+   */
+  reconcileAccessories(claimedDeviceIds) {
+    const gracePeriod = (this.config.cleanup?.gracePeriod ?? 60) * 60 * 1000; // Minutes to milliseconds
+    const dryRun = Boolean(this.config.cleanup?.dryRun);
+    const claimedUUIDs = new Set(claimedDeviceIds.map(deviceId => this.getAccessoryUUID(deviceId)));
+    const now = Date.now();
+    const changed = [];
+    const stale = [];
+
+    for (const [uuid, platformAccessory] of this.platformAccessories) {
+      if (claimedUUIDs.has(uuid)) {
+        if (platformAccessory.context.unclaimedSince) {
+          this.log.info(`Accessory ${platformAccessory.displayName} is back, cancelling removal`);
+          delete platformAccessory.context.unclaimedSince;
+          changed.push(platformAccessory);
+        }
+        continue;
+      }
+
+      // Remember when the accessory was first seen unclaimed - the context survives restarts
+      if (!platformAccessory.context.unclaimedSince) {
+        platformAccessory.context.unclaimedSince = now;
+        changed.push(platformAccessory);
+        if (gracePeriod > 0) {
+          this.log.warn(`Accessory ${platformAccessory.displayName} is no longer configured or found in Seam, removing it in ${Math.round(gracePeriod / 60000)} minute(s) unless it comes back`);
+        }
+      }
+
+      const unclaimedFor = now - platformAccessory.context.unclaimedSince;
+      if (unclaimedFor >= gracePeriod) {
+        stale.push(platformAccessory);
+      } else {
+        this.debugLog(`Accessory ${platformAccessory.displayName} unclaimed for ${Math.round(unclaimedFor / 60000)} minute(s), keeping until grace period ends`);
+      }
+    }
+
+    if (changed.length > 0) {
+      this.api.updatePlatformAccessories(changed);
+    }
+
+    if (stale.length === 0) {
+      this.debugLog('No stale accessories to remove');
+      return;
+    }
+
+    if (dryRun) {
+      this.log.warn(`[DRY RUN] Would remove ${stale.length} stale accessory(s): ${stale.map(acc => acc.displayName).join(', ')}`);
+      return;
+    }
+
+    this.log.info(`Removing ${stale.length} stale accessory(s) from HomeKit: ${stale.map(acc => acc.displayName).join(', ')}`);
+    this.api.unregisterPlatformAccessories('@350d/homebridge-seam', 'SeamLock', stale);
+
+    for (const platformAccessory of stale) {
+      this.platformAccessories.delete(platformAccessory.UUID);
+    }
   }
 
   /**
    * Setup individual device
    */
-  async setupDevice(deviceConfig) {
+  async setupDevice(deviceConfig, discoveredDevice = null) {
     try {
       if (!deviceConfig.deviceId) {
         this.log.warn('Device configuration missing deviceId, skipping');
@@ -138,14 +516,17 @@ class SeamPlatform {
 
       this.debugLog(`Setting up device: ${deviceConfig.deviceId}`);
 
-      // Get device info from Seam
-      const device = await this.seamAPI.getDevice(deviceConfig.deviceId);
+      // Get device info from Seam (discovery already has it)
+      const device = discoveredDevice || await this.seamAPI.getDevice(deviceConfig.deviceId);
       
       if (!device) {
         this.log.error(`Device ${deviceConfig.deviceId} not found in Seam`);
+        this.missingDeviceIds.add(deviceConfig.deviceId);
         return;
       }
 
+      this.missingDeviceIds.delete(deviceConfig.deviceId);
+
       // Create lock accessory
       const lockAccessory = new LockAccessory(this, device, deviceConfig);
       await lockAccessory.setupAccessory(); // Wait for device info to load
@@ -206,9 +587,17 @@ class SeamPlatform {
       
       this.log.info(`Platform accessory now has ${platformAccessory.services.length} services`);
 
+      // Show the last known state until the first poll or webhook arrives
+      lockAccessory.attachPlatformAccessory(platformAccessory);
+
       this.log.info(`Device ${lockAccessory.name} configured successfully`);
     } catch (error) {
       this.log.error(`Failed to setup device ${deviceConfig.deviceId}:`, error.message);
+
+      // Only a definite "not found" may release a cached accessory, outages must not
+      if (error.statusCode === 404) {
+        this.missingDeviceIds.add(deviceConfig.deviceId);
+      }
     }
   }
 
@@ -258,55 +647,167 @@ class SeamPlatform {
 
     this.debugLog(`Starting to poll ${this.accessories.length} accessories...`);
 
-    for (let i = 0; i < this.accessories.length; i++) {
-      const accessory = this.accessories[i];
+    // Fetch every device in one batch request
+    const accessories = this.accessories.slice();
+    const startTime = Date.now();
+    let statuses;
+
+    try {
+      statuses = await this.seamAPI.getLockStatuses(accessories.map(accessory => accessory.deviceId));
+    } catch (error) {
+      // Skip this cycle rather than hammering the API with one request per device
+      this.log.error('Failed to poll devices:', error.message);
+      this.debugLog('Error details:', error);
+      accessories.forEach(accessory => accessory.recordReachability(false));
+      this.recordPollMetric(startTime, false);
+      return;
+    }
+
+    const pollTime = Date.now() - startTime;
+    this.debugLog(`Batch API call completed in ${pollTime}ms for ${statuses.size}/${accessories.length} devices`);
+
+    // Devices missing from the batch fall back to individual requests (in parallel)
+    await Promise.all(accessories.map(async (accessory, i) => {
+      const label = `[${i + 1}/${accessories.length}]`;
+      let status = statuses.get(accessory.deviceId);
+
       try {
-        this.debugLog(`[${i + 1}/${this.accessories.length}] Polling device: ${accessory.name} (${accessory.deviceId})`);
-        const startTime = Date.now();
-        
-        const status = await this.seamAPI.getLockStatus(accessory.deviceId);
-        const pollTime = Date.now() - startTime;
-        
-        this.debugLog(`[${i + 1}/${this.accessories.length}] API call completed in ${pollTime}ms for ${accessory.name}`);
-        
-        // Only update if we got valid data
-        if (status && typeof status === 'object') {
-          this.debugLog(`[${i + 1}/${this.accessories.length}] Received status for ${accessory.name}:`, JSON.stringify(status, null, 2));
-          
-          // Check if lock state changed before updating
-          const currentLocked = accessory.isLocked;
-          const newLocked = status.locked;
-          
-          if (typeof newLocked === 'boolean' && newLocked !== currentLocked) {
-            this.log.info(`[POLLING] Detected lock state change for ${accessory.name}: ${currentLocked ? 'LOCKED' : 'UNLOCKED'} → ${newLocked ? 'LOCKED' : 'UNLOCKED'}`);
-          } else {
-            this.debugLog(`[${i + 1}/${this.accessories.length}] No lock state change for ${accessory.name}: ${currentLocked ? 'LOCKED' : 'UNLOCKED'}`);
-          }
-          
-          // Use updateStateWithPriority for polling with current timestamp
-          accessory.updateStateWithPriority(status, 'polling', Date.now());
-          this.debugLog(`[${i + 1}/${this.accessories.length}] State update completed for ${accessory.name}`);
-        } else {
-          this.log.warn(`[${i + 1}/${this.accessories.length}] Invalid status received for ${accessory.name}:`, status);
+        if (!status) {
+          this.debugLog(`${label} ${accessory.name} (${accessory.deviceId}) missing from batch, polling individually`);
+          status = await this.seamAPI.getLockStatus(accessory.deviceId);
         }
+
+        this.applyPolledStatus(accessory, status, label);
       } catch (error) {
-        this.log.error(`[${i + 1}/${this.accessories.length}] Failed to poll device ${accessory.name}:`, error.message);
-        this.debugLog(`[${i + 1}/${this.accessories.length}] Error details:`, error);
-        // Don't update state on error to avoid "no response"
+        this.log.error(`${label} Failed to poll device ${accessory.name}:`, error.message);
+        this.debugLog(`${label} Error details:`, error);
+        // Keep the last state, HomeKit only shows "No Response" after repeated failures
+        accessory.recordReachability(false);
       }
-    }
+    }));
     
+    this.recordPollMetric(startTime, true);
     this.debugLog(`=== POLLING COMPLETE ===`);
   }
 
   /**
-   * Save webhook configuration
+   * Count a poll cycle in the metrics (if enabled)
+   */
+  recordPollMetric(startTime, success) {
+    if (this.metrics) {
+      this.metrics.recordPoll((Date.now() - startTime) / 1000, success);
+    }
+  }
+
+  /**
+   * Apply a polled status to an accessory
+   */
+  applyPolledStatus(accessory, status, label) {
+    // Only update if we got valid data
+    if (!status || typeof status !== 'object') {
+      this.log.warn(`${label} Invalid status received for ${accessory.name}:`, status);
+      return;
+    }
+
+    this.debugLog(`${label} Received status for ${accessory.name}:`, JSON.stringify(status, null, 2));
+
+    // Offline reports count towards the offline threshold, online reports reset it
+    accessory.recordReachability(status.online !== false);
+
+    // Check if lock state changed before updating
+    const currentLocked = accessory.isLocked;
+    const newLocked = status.locked;
+    
+    if (typeof newLocked === 'boolean' && newLocked !== currentLocked) {
+      this.log.info(`[POLLING] Detected lock state change for ${accessory.name}: ${currentLocked ? 'LOCKED' : 'UNLOCKED'} → ${newLocked ? 'LOCKED' : 'UNLOCKED'}`);
+
+      // A change polling saw before any webhook means webhooks may have been missed
+      if (this.eventCatchUp && !accessory.isCommandInProgress) {
+        this.eventCatchUp.run('polling detected a change without webhook');
+      }
+    } else {
+      this.debugLog(`${label} No lock state change for ${accessory.name}: ${currentLocked ? 'LOCKED' : 'UNLOCKED'}`);
+    }
+    
+    // Use updateStateWithPriority for polling with current timestamp
+    accessory.updateStateWithPriority(status, 'polling', Date.now());
+    this.debugLog(`${label} State update completed for ${accessory.name}`);
+  }
+
+  /**
+   * Get path of a plugin file under the Homebridge storage path
+   */
+  getStorageFile(fileName) {
+    const directory = path.join(this.api.user.storagePath(), 'homebridge-seam');
+    fs.mkdirSync(directory, { recursive: true });
+    return path.join(directory, fileName);
+  }
+
+  /**
+   * Read a JSON file from the plugin storage directory (null if missing or unreadable)
+   */
+  readStorageFile(fileName) {
+    try {
+      const file = this.getStorageFile(fileName);
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      this.log.warn(`Failed to read ${fileName}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write a JSON file to the plugin storage directory atomically
+   */
+  writeStorageFile(fileName, data) {
+    const file = this.getStorageFile(fileName);
+    const tempFile = `${file}.tmp`;
+    // Files may hold secrets, keep them private
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, file);
+  }
+
+  /**
+   * Load saved webhook registration
+   */
+  loadWebhookConfig() {
+    return this.readStorageFile('webhook.json');
+  }
+
+  /**
+   * Save webhook registration (ID, path and secret) so it survives restarts
    */
-  saveWebhookConfig(path, secret) {
+  saveWebhookConfig(registration) {
     if (this.config.webhooks) {
-      this.config.webhooks.path = path;
-      this.config.webhooks.secret = secret;
+      this.config.webhooks.path = registration.path;
+      this.config.webhooks.secret = registration.secret;
+    }
+
+    try {
+      this.writeStorageFile('webhook.json', registration);
       this.debugLog('Webhook configuration saved');
+    } catch (error) {
+      this.log.error('Failed to save webhook registration:', error.message);
+    }
+  }
+
+  /**
+   * Remove saved webhook registration
+   */
+  clearWebhookConfig() {
+    if (this.config.webhooks) {
+      this.config.webhooks.path = '';
+      this.config.webhooks.secret = '';
+    }
+
+    try {
+      fs.rmSync(this.getStorageFile('webhook.json'), { force: true });
+      this.debugLog('Webhook configuration cleared');
+    } catch (error) {
+      this.log.error('Failed to remove saved webhook registration:', error.message);
     }
   }
 
@@ -322,6 +823,49 @@ class SeamPlatform {
       this.pollingInterval = null;
     }
 
+    // Stop discovery
+    if (this.discoveryInterval) {
+      clearInterval(this.discoveryInterval);
+      this.discoveryInterval = null;
+    }
+
+    // Stop event catch-up
+    if (this.eventCatchUp) {
+      this.eventCatchUp.stop();
+    }
+
+    // Stop auto-relock and alert timers
+    for (const accessory of this.accessories) {
+      accessory.stopTimers();
+    }
+
+    // Stop event sink retries
+    if (this.eventSinks) {
+      await this.eventSinks.stop();
+    }
+
+    // Stop access code reconciliation
+    if (this.accessCodeManager) {
+      this.accessCodeManager.stop();
+    }
+
+    // Disconnect from MQTT
+    if (this.mqttBridge) {
+      await this.mqttBridge.stop();
+      this.mqttBridge = null;
+    }
+
+    // Stop metrics endpoint
+    if (this.metrics) {
+      await this.metrics.stop();
+    }
+
+    // Stop admin API
+    if (this.adminApi) {
+      await this.adminApi.stop();
+      this.adminApi = null;
+    }
+
     // Stop webhook server
     if (this.webhookServer) {
       await this.webhookServer.stop();
@@ -2,27 +2,211 @@
 
 const https = require('https');
 
+// Network errors raised before the request reached Seam - safe to retry even for commands
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Network errors worth retrying for idempotent calls
+const RETRYABLE_ERROR_CODES = CONNECT_ERROR_CODES.concat(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ESOCKETTIMEDOUT']);
+
+// Longest Retry-After we are willing to wait for
+const MAX_RETRY_AFTER = 60 * 1000; // 60 seconds
+
 /**
  * Simple wrapper for Seam API calls using native https module
  */
 class SeamAPI {
-  constructor(apiKey, log) {
+  constructor(apiKey, log, options = {}) {
     this.apiKey = apiKey;
     this.log = log;
     this.baseUrl = 'connect.getseam.com';
+    this.debug = Boolean(options.debug);
+
+    // Retry policy
+    this.timeout = (options.timeout || 5) * 1000; // Seconds to milliseconds
+    this.maxRetries = options.retries ?? 3;
+    this.retryBaseDelay = options.retryBaseDelay || 500; // Milliseconds
+    this.retryMaxDelay = options.retryMaxDelay || 10000; // Milliseconds
+
+    // Circuit breaker
+    this.circuitThreshold = options.circuitBreaker?.threshold || 5;
+    this.circuitCooldown = (options.circuitBreaker?.cooldown || 60) * 1000; // Seconds to milliseconds
+    this.consecutiveFailures = 0;
+    this.circuitOpenUntil = 0;
+    this.isCircuitOpen = false;
+
+    // Prometheus metrics (set by the platform when enabled)
+    this.metrics = null;
+  }
+
+  /**
+   * Debug logging helper - checks plugin debug setting
+   */
+  debugLog(message, ...args) {
+    if (this.debug) {
+      this.log.info(`[DEBUG] ${message}`, ...args);
+    }
+  }
+
+  /**
+   * Make HTTP request to Seam API with retries and circuit breaker
+   * Idempotent calls retry on network errors, timeouts, 5xx and 429.
+   * Non-idempotent calls (lock/unlock commands, webhook creation) only retry when Seam
+   * cannot have received or executed the request: connection errors and 429.
+   * With a deadline (epoch ms) no attempt runs past it, a caller that gave up must not
+   * have its command executed later by a retry.
+   */
+  async _request(method, path, data = null, options = {}) {
+    const idempotent = options.idempotent !== false;
+    const deadline = options.deadline || null;
+
+    // Fail fast while the circuit is open, try again once the cooldown is over
+    if (this.isCircuitOpen) {
+      if (Date.now() < this.circuitOpenUntil) {
+        const error = new Error(`Seam API circuit open after ${this.consecutiveFailures} consecutive failures, retrying in ${Math.ceil((this.circuitOpenUntil - Date.now()) / 1000)} seconds`);
+        error.circuitOpen = true;
+        throw error;
+      }
+      this.debugLog(`Circuit breaker cooldown over, trying ${path}`);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this._send(method, path, data, deadline);
+        this.recordSuccess();
+        return response;
+      } catch (error) {
+        const retryable = this.isRetryable(error, idempotent);
+
+        if (!retryable || attempt >= this.maxRetries) {
+          if (this.isServiceFailure(error)) {
+            this.recordFailure();
+          }
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          this.recordFailure();
+          throw error;
+        }
+
+        if (deadline && Date.now() + delay >= deadline) {
+          this.debugLog(`${path} failed (${error.message}), no time left for a retry`);
+          if (this.isServiceFailure(error)) {
+            this.recordFailure();
+          }
+          throw error;
+        }
+
+        this.debugLog(`${path} failed (${error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Check if a failed request may be retried
+   */
+  isRetryable(error, idempotent) {
+    if (error.statusCode === 429) {
+      return true;
+    }
+
+    if (!idempotent) {
+      return CONNECT_ERROR_CODES.includes(error.code);
+    }
+
+    return error.statusCode >= 500 || error.isTimeout || RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Check if an error says something about Seam's health (as opposed to a bad request)
+   */
+  isServiceFailure(error) {
+    return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
   }
 
   /**
-   * Make HTTP request to Seam API
+   * Delay before the next retry - Retry-After when given, else exponential backoff with jitter
+   * Returns null when Seam asks us to wait longer than we are willing to
    */
-  _request(method, path, data = null) {
+  getRetryDelay(error, attempt) {
+    if (typeof error.retryAfter === 'number') {
+      return error.retryAfter <= MAX_RETRY_AFTER ? error.retryAfter : null;
+    }
+
+    const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Close the circuit after a successful request
+   */
+  recordSuccess() {
+    if (this.isCircuitOpen) {
+      this.log.info('Seam API reachable again, circuit breaker closed');
+    }
+    this.consecutiveFailures = 0;
+    this.isCircuitOpen = false;
+    this.circuitOpenUntil = 0;
+  }
+
+  /**
+   * Count a failed request and open the circuit once the threshold is reached
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+
+    if (this.consecutiveFailures >= this.circuitThreshold) {
+      if (!this.isCircuitOpen) {
+        this.log.warn(`Seam API circuit breaker opened after ${this.consecutiveFailures} consecutive failures, pausing requests for ${this.circuitCooldown / 1000} seconds`);
+      } else {
+        this.debugLog(`Seam API still failing, circuit breaker stays open for ${this.circuitCooldown / 1000} seconds`);
+      }
+      this.isCircuitOpen = true;
+      this.circuitOpenUntil = Date.now() + this.circuitCooldown;
+    }
+  }
+
+  /**
+   * Parse Retry-After header (seconds or HTTP date) into milliseconds
+   */
+  parseRetryAfter(header) {
+    if (!header) {
+      return undefined;
+    }
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = new Date(header).getTime();
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : undefined;
+  }
+
+  /**
+   * Send a single HTTP request to Seam API (times out at the deadline, if earlier)
+   */
+  _send(method, path, data = null, deadline = null) {
+    const startTime = Date.now();
+    let isRecorded = false;
+
+    // Record each attempt once (a timeout also ends in a request error)
+    const recordMetric = (status) => {
+      if (this.metrics && !isRecorded) {
+        isRecorded = true;
+        this.metrics.recordApiRequest(path, status, (Date.now() - startTime) / 1000);
+      }
+    };
+
     return new Promise((resolve, reject) => {
       const options = {
         hostname: this.baseUrl,
         port: 443,
         path: path,
         method: method,
-        timeout: 5000, // 5 second timeout
+        timeout: deadline ? Math.max(1, Math.min(this.timeout, deadline - Date.now())) : this.timeout,
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json',
@@ -38,10 +222,14 @@ class SeamAPI {
         });
 
         res.on('end', () => {
+          recordMetric(res.statusCode);
           try {
             // Check if response is empty or not JSON
             if (!body || body.trim() === '') {
-              reject(new Error(`Empty response from API (status: ${res.statusCode})`));
+              const error = new Error(`Empty response from API (status: ${res.statusCode})`);
+              error.statusCode = res.statusCode;
+              error.retryAfter = this.parseRetryAfter(res.headers['retry-after']);
+              reject(error);
               return;
             }
             
@@ -50,26 +238,37 @@ class SeamAPI {
             if (res.statusCode >= 200 && res.statusCode < 300) {
               resolve(response);
             } else {
-              reject(new Error(`API Error ${res.statusCode}: ${response.error?.message || body}`));
+              const error = new Error(`API Error ${res.statusCode}: ${response.error?.message || body}`);
+              error.statusCode = res.statusCode;
+              error.errorType = response.error?.type;
+              error.retryAfter = this.parseRetryAfter(res.headers['retry-after']);
+              reject(error);
             }
           } catch (e) {
             // If JSON parsing fails, check if it's an error message
-            if (body.includes('error code:')) {
-              reject(new Error(`API Error: ${body}`));
-            } else {
-              reject(new Error(`Failed to parse response: ${e.message} - Response: ${body.substring(0, 100)}...`));
+            const error = body.includes('error code:')
+              ? new Error(`API Error: ${body}`)
+              : new Error(`Failed to parse response: ${e.message} - Response: ${body.substring(0, 100)}...`);
+            if (res.statusCode >= 300) {
+              error.statusCode = res.statusCode;
+              error.retryAfter = this.parseRetryAfter(res.headers['retry-after']);
             }
+            reject(error);
           }
         });
       });
 
       req.on('error', (error) => {
+        recordMetric('error');
         reject(error);
       });
 
       req.on('timeout', () => {
+        recordMetric('timeout');
         req.destroy();
-        reject(new Error('Request timeout'));
+        const error = new Error('Request timeout');
+        error.isTimeout = true;
+        reject(error);
       });
 
       if (data) {
@@ -96,12 +295,21 @@ class SeamAPI {
   }
 
   /**
-   * List all devices
+   * List all devices (optionally filtered with Seam list parameters), following pagination
    */
-  async listDevices() {
+  async listDevices(params = {}) {
     try {
-      const response = await this._request('POST', '/devices/list', {});
-      return response.devices || [];
+      const devices = [];
+      let pageCursor = null;
+
+      do {
+        const body = pageCursor ? Object.assign({}, params, { page_cursor: pageCursor }) : params;
+        const response = await this._request('POST', '/devices/list', body);
+        devices.push(...(response.devices || []));
+        pageCursor = response.pagination?.has_next_page ? response.pagination.next_page_cursor : null;
+      } while (pageCursor);
+
+      return devices;
     } catch (error) {
       this.log.error('Failed to list devices:', error.message);
       throw error;
@@ -109,13 +317,14 @@ class SeamAPI {
   }
 
   /**
-   * Lock the device
+   * Lock the device (options.deadline stops retries once the caller gives up)
    */
-  async lockDoor(deviceId) {
+  async lockDoor(deviceId, options = {}) {
     try {
+      // Commands are never retried once Seam may have received them
       const response = await this._request('POST', '/locks/lock_door', {
         device_id: deviceId
-      });
+      }, { idempotent: false, deadline: options.deadline });
       return response.action_attempt;
     } catch (error) {
       this.log.error(`Failed to lock device ${deviceId}:`, error.message);
@@ -124,13 +333,14 @@ class SeamAPI {
   }
 
   /**
-   * Unlock the device
+   * Unlock the device (options.deadline stops retries once the caller gives up)
    */
-  async unlockDoor(deviceId) {
+  async unlockDoor(deviceId, options = {}) {
     try {
+      // Commands are never retried once Seam may have received them
       const response = await this._request('POST', '/locks/unlock_door', {
         device_id: deviceId
-      });
+      }, { idempotent: false, deadline: options.deadline });
       return response.action_attempt;
     } catch (error) {
       this.log.error(`Failed to unlock device ${deviceId}:`, error.message);
@@ -138,27 +348,196 @@ class SeamAPI {
     }
   }
 
+  /**
+   * Get action attempt
+   */
+  async getActionAttempt(actionAttemptId) {
+    try {
+      const response = await this._request('POST', '/action_attempts/get', {
+        action_attempt_id: actionAttemptId
+      });
+      return response.action_attempt;
+    } catch (error) {
+      this.log.error(`Failed to get action attempt ${actionAttemptId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Poll an action attempt until it leaves the pending state or the deadline passes
+   */
+  async waitForActionAttempt(actionAttempt, timeout = 30000, interval = 1000) {
+    if (!actionAttempt || !actionAttempt.action_attempt_id) {
+      throw new Error('Action attempt missing from API response');
+    }
+
+    const deadline = Date.now() + timeout;
+    let attempt = actionAttempt;
+
+    while (attempt.status === 'pending') {
+      if (Date.now() + interval > deadline) {
+        throw new Error(`Action attempt ${actionAttempt.action_attempt_id} still pending after ${Math.round(timeout / 1000)} seconds`);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, interval));
+
+      try {
+        // Retries of a poll stop at the deadline too
+        const response = await this._request('POST', '/action_attempts/get', {
+          action_attempt_id: actionAttempt.action_attempt_id
+        }, { deadline });
+        attempt = response.action_attempt || attempt;
+      } catch (error) {
+        // Keep polling until the deadline - a single failed request says nothing about the lock
+        this.debugLog(`Polling action attempt ${actionAttempt.action_attempt_id} failed:`, error.message);
+      }
+    }
+
+    return attempt;
+  }
+
   /**
    * Get device lock status
    */
   async getLockStatus(deviceId) {
     try {
       const device = await this.getDevice(deviceId);
-      
-      // Convert battery level from 0-1 to 0-100 if needed
-      let batteryLevel = device.properties?.battery_level || 100;
-      if (batteryLevel <= 1) {
-        batteryLevel = Math.round(batteryLevel * 100);
-      }
-      
+      return this.toLockStatus(device);
+    } catch (error) {
+      this.log.error(`Failed to get lock status for ${deviceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get lock status of several devices with one devices/list request
+   * Returns a Map of device ID to status; devices Seam did not return are missing
+   */
+  async getLockStatuses(deviceIds) {
+    const devices = await this.listDevices({ device_ids: deviceIds });
+    const statuses = new Map();
+
+    for (const device of devices) {
+      statuses.set(device.device_id, this.toLockStatus(device));
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Convert a Seam device into a lock status
+   */
+  toLockStatus(device) {
+    // Convert battery level from 0-1 to 0-100 if needed
+    let batteryLevel = device.properties?.battery_level || 100;
+    if (batteryLevel <= 1) {
+      batteryLevel = Math.round(batteryLevel * 100);
+    }
+    
+    return {
+      locked: device.properties?.locked || false,
+      battery_level: batteryLevel,
+      online: device.properties?.online !== false,
+      door_open: device.properties?.door_open || false,
+      errors: (device.errors || []).map(error => ({
+        code: error.error_code,
+        message: error.message
+      })),
+      warnings: (device.warnings || []).map(warning => ({
+        code: warning.warning_code,
+        message: warning.message
+      }))
+    };
+  }
+
+  /**
+   * List one page of events (since is an ISO timestamp)
+   * nextPageCursor (null on the last page) goes into params.page_cursor for the next page
+   */
+  async listEvents(params = {}) {
+    try {
+      const response = await this._request('POST', '/events/list', params);
       return {
-        locked: device.properties?.locked || false,
-        battery_level: batteryLevel,
-        online: device.properties?.online || false,
-        door_open: device.properties?.door_open || false
+        events: response.events || [],
+        nextPageCursor: response.pagination?.has_next_page ? response.pagination.next_page_cursor : null
       };
     } catch (error) {
-      this.log.error(`Failed to get lock status for ${deviceId}:`, error.message);
+      this.log.error('Failed to list events:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List access codes of a device
+   */
+  async listAccessCodes(deviceId) {
+    try {
+      const response = await this._request('POST', '/access_codes/list', {
+        device_id: deviceId
+      });
+      return response.access_codes || [];
+    } catch (error) {
+      this.log.error(`Failed to list access codes for ${deviceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an access code
+   */
+  async getAccessCode(accessCodeId) {
+    try {
+      const response = await this._request('POST', '/access_codes/get', {
+        access_code_id: accessCodeId
+      });
+      return response.access_code;
+    } catch (error) {
+      this.log.error(`Failed to get access code ${accessCodeId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an access code (params: name, code and optional starts_at/ends_at)
+   */
+  async createAccessCode(deviceId, params) {
+    try {
+      const response = await this._request('POST', '/access_codes/create', Object.assign({
+        device_id: deviceId
+      }, params), { idempotent: false });
+      return response.access_code;
+    } catch (error) {
+      this.log.error(`Failed to create access code for ${deviceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an access code (params: name, code, type, starts_at, ends_at)
+   */
+  async updateAccessCode(accessCodeId, params) {
+    try {
+      await this._request('POST', '/access_codes/update', Object.assign({
+        access_code_id: accessCodeId
+      }, params));
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to update access code ${accessCodeId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an access code
+   */
+  async deleteAccessCode(accessCodeId) {
+    try {
+      await this._request('POST', '/access_codes/delete', {
+        access_code_id: accessCodeId
+      });
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to delete access code ${accessCodeId}:`, error.message);
       throw error;
     }
   }
@@ -171,7 +550,7 @@ class SeamAPI {
       const response = await this._request('POST', '/webhooks/create', {
         url: url,
         event_types: eventTypes
-      });
+      }, { idempotent: false });
       return response.webhook;
     } catch (error) {
       this.log.error('Failed to create webhook:', error.message);
@@ -1,8 +1,17 @@
 'use strict';
 
+const fs = require('fs');
 const http = require('http');
+const https = require('https');
 const crypto = require('crypto');
 
+// Number of delivered Svix message IDs remembered for replay protection
+const MAX_SEEN_MESSAGE_IDS = 1000;
+
+// How often certificate files are checked for changes, and how long to wait for the rest of a renewal to be written
+const CERTIFICATE_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const CERTIFICATE_RELOAD_DELAY = 5 * 1000; // 5 seconds
+
 /**
  * Simple HTTP server for receiving Seam webhooks
  * Uses native http module without external dependencies
@@ -14,9 +23,18 @@ class WebhookServer {
     this.server = null;
     this.webhookId = null;
     this.port = config.port || 8080;
+    this.bindAddress = config.bindAddress || null; // All interfaces unless set
+    this.tls = config.tls?.enabled ? config.tls : null;
+    this.redirectServer = null;
+    this.certificateFiles = [];
+    this.certificateReloadTimer = null;
     this.path = config.path || null; // Use saved path or generate new
     this.webhookUrl = null; // Will be constructed from base URL + path
-    this.secret = config.secret || null; // Use saved secret or generate new
+    this.secret = config.secret || null; // Use saved secret or the one returned by Seam
+    this.registration = null; // Registration persisted under the Homebridge storage path
+    this.requireSignature = config.requireSignature !== false;
+    this.timestampTolerance = (config.timestampTolerance || 300) * 1000; // Seconds to milliseconds
+    this.seenMessageIds = new Map(); // svix-id -> delivery time, oldest first
   }
 
   /**
@@ -28,13 +46,6 @@ class WebhookServer {
     }
   }
 
-  /**
-   * Generate webhook secret
-   */
-  generateSecret() {
-    return crypto.randomBytes(32).toString('hex');
-  }
-
   /**
    * Generate random webhook path
    */
@@ -43,31 +54,56 @@ class WebhookServer {
   }
 
   /**
-   * Verify webhook signature
+   * Verify Svix webhook signature (svix-id, svix-timestamp and svix-signature headers)
    */
-  verifySignature(payload, signature) {
+  verifySignature(payload, headers) {
     if (!this.secret) {
+      if (this.requireSignature) {
+        this.platform.log.error('Webhook secret not known yet, rejecting webhook');
+        return false;
+      }
       this.platform.log.warn('Webhook secret not configured, skipping signature verification');
       return true;
     }
 
-    if (!signature) {
-      this.platform.log.error('Webhook signature missing');
+    const messageId = headers['svix-id'];
+    const timestamp = headers['svix-timestamp'];
+    const signatureHeader = headers['svix-signature'];
+
+    if (!messageId || !timestamp || !signatureHeader) {
+      if (this.requireSignature) {
+        this.platform.log.error('Webhook signature missing');
+        return false;
+      }
+      this.platform.log.warn('Webhook received without signature, accepting because signature verification is not required');
+      return true;
+    }
+
+    // Reject stale or future timestamps to limit the replay window
+    const timestampMs = Number(timestamp) * 1000;
+    if (!Number.isFinite(timestampMs) || Math.abs(Date.now() - timestampMs) > this.timestampTolerance) {
+      this.platform.log.error(`Webhook timestamp ${timestamp} is outside the allowed tolerance`);
       return false;
     }
 
     try {
+      const secret = this.secret.startsWith('whsec_') ? this.secret.substring(6) : this.secret;
       const expectedSignature = crypto
-        .createHmac('sha256', this.secret)
-        .update(payload, 'utf8')
-        .digest('hex');
-
-      const providedSignature = signature.replace('sha256=', '');
-      
-      const isValid = crypto.timingSafeEqual(
-        Buffer.from(expectedSignature, 'hex'),
-        Buffer.from(providedSignature, 'hex')
-      );
+        .createHmac('sha256', Buffer.from(secret, 'base64'))
+        .update(`${messageId}.${timestamp}.`)
+        .update(payload)
+        .digest();
+
+      // Header holds space separated "v1,<base64>" entries (several during secret rotation)
+      const isValid = signatureHeader.split(' ').some((entry) => {
+        const [version, signature] = entry.split(',');
+        if (version !== 'v1' || !signature) {
+          return false;
+        }
+        const providedSignature = Buffer.from(signature, 'base64');
+        return providedSignature.length === expectedSignature.length &&
+          crypto.timingSafeEqual(expectedSignature, providedSignature);
+      });
 
       if (!isValid) {
         this.platform.log.error('Invalid webhook signature');
@@ -80,6 +116,29 @@ class WebhookServer {
     }
   }
 
+  /**
+   * Check if a Svix message was already delivered
+   */
+  isReplay(messageId) {
+    return Boolean(messageId) && this.seenMessageIds.has(messageId);
+  }
+
+  /**
+   * Remember a delivered Svix message, dropping the oldest entries beyond the cache size
+   */
+  rememberMessage(messageId) {
+    if (!messageId) {
+      return;
+    }
+
+    this.seenMessageIds.set(messageId, Date.now());
+
+    while (this.seenMessageIds.size > MAX_SEEN_MESSAGE_IDS) {
+      const oldestId = this.seenMessageIds.keys().next().value;
+      this.seenMessageIds.delete(oldestId);
+    }
+  }
+
   /**
    * Start webhook server
    */
@@ -88,9 +147,9 @@ class WebhookServer {
     
     if (!this.config.enabled) {
       this.platform.log.info('Webhook server is disabled in config');
-      // Clean up any existing webhook and clear config
+      // Clean up any existing webhook and saved registration
+      await this.unregister();
       await this.cleanupWebhook();
-      this.platform.saveWebhookConfig('', '');
       // Clear local values
       this.path = null;
       this.secret = null;
@@ -103,48 +162,190 @@ class WebhookServer {
     }
 
     try {
-      // Always generate new path/secret when starting (for security)
-      this.path = this.generatePath();
-      this.secret = this.generateSecret();
-      this.debugLog(`Generated new webhook path: ${this.path}`);
-      this.debugLog(`Generated new webhook secret: ${this.secret}`);
+      // Reuse the persisted registration unless the URL changed
+      this.registration = this.platform.loadWebhookConfig();
+      
+      if (this.registration && this.registration.baseUrl === this.config.url) {
+        this.path = this.registration.path;
+        this.secret = this.registration.secret || this.secret;
+        this.webhookId = this.registration.webhookId;
+        this.debugLog(`Reusing saved webhook path: ${this.path}`);
+      } else {
+        if (this.registration) {
+          this.platform.log.info('Webhook URL changed, replacing saved webhook registration');
+          await this.deleteWebhook(this.registration.webhookId);
+          this.platform.clearWebhookConfig();
+          this.registration = null;
+        }
+        
+        // Generate new path (for security), Seam issues the signing secret
+        this.path = this.generatePath();
+        this.secret = null;
+        this.webhookId = null;
+        this.debugLog(`Generated new webhook path: ${this.path}`);
+      }
       
       // Construct full URL
       this.webhookUrl = this.config.url + this.path;
 
-      // Create HTTP server
-      this.server = http.createServer((req, res) => {
+      // Create HTTP or HTTPS server
+      const handler = (req, res) => {
         this.handleRequest(req, res);
-      });
+      };
+      this.server = this.tls
+        ? https.createServer(this.loadTlsOptions(), handler)
+        : http.createServer(handler);
 
       // Start listening
-      await new Promise((resolve, reject) => {
-        this.server.listen(this.port, (err) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve();
-          }
-        });
-      });
+      await this.listen(this.server, this.port);
 
-      this.platform.log.info(`Webhook server started on port ${this.port}`);
+      const address = this.bindAddress ? `${this.bindAddress}:${this.port}` : `port ${this.port}`;
+      this.platform.log.info(`Webhook server started on ${address}${this.tls ? ' (HTTPS)' : ''}`);
       this.debugLog(`Webhook path: ${this.path}`);
 
+      if (this.tls) {
+        this.watchCertificates();
+        if (this.tls.redirectPort) {
+          await this.startRedirectServer();
+        }
+      }
+
       // Register webhook with Seam
       await this.registerWebhook();
     } catch (error) {
-      this.platform.log.error('Failed to start webhook server:', error.message);
+      // A server that never started listening must not be shared with the admin API or metrics
+      if (this.server && !this.server.listening) {
+        this.server = null;
+      }
       throw error;
     }
   }
 
+  /**
+   * Listen on a port (and the bind address, if configured)
+   */
+  listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, this.bindAddress || undefined, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Read the certificate and key (or PFX bundle) from disk
+   */
+  loadTlsOptions() {
+    if (this.tls.pfx) {
+      return { pfx: fs.readFileSync(this.tls.pfx), passphrase: this.tls.passphrase || undefined };
+    }
+
+    if (!this.tls.cert || !this.tls.key) {
+      throw new Error('HTTPS needs a certificate and key file, or a PFX file');
+    }
+
+    return {
+      cert: fs.readFileSync(this.tls.cert),
+      key: fs.readFileSync(this.tls.key),
+      passphrase: this.tls.passphrase || undefined
+    };
+  }
+
+  /**
+   * Reload the certificate when its files change (e.g. after a renewal), without restarting the server
+   */
+  watchCertificates() {
+    this.certificateFiles = this.tls.pfx ? [this.tls.pfx] : [this.tls.cert, this.tls.key];
+
+    for (const file of this.certificateFiles) {
+      // watchFile polls, so it also notices files replaced through a symlink
+      fs.watchFile(file, { interval: CERTIFICATE_CHECK_INTERVAL }, () => {
+        // Certificate and key are usually written one after the other, reload once both are in place
+        clearTimeout(this.certificateReloadTimer);
+        this.certificateReloadTimer = setTimeout(() => {
+          this.certificateReloadTimer = null;
+          this.reloadCertificates();
+        }, CERTIFICATE_RELOAD_DELAY);
+      });
+    }
+
+    this.debugLog(`Watching certificate files: ${this.certificateFiles.join(', ')}`);
+  }
+
+  /**
+   * Stop watching the certificate files
+   */
+  unwatchCertificates() {
+    clearTimeout(this.certificateReloadTimer);
+    this.certificateReloadTimer = null;
+
+    for (const file of this.certificateFiles) {
+      fs.unwatchFile(file);
+    }
+    this.certificateFiles = [];
+  }
+
+  /**
+   * Apply changed certificate files to new connections, keep the current certificate if they are invalid
+   */
+  reloadCertificates() {
+    if (!this.server) {
+      return;
+    }
+
+    try {
+      this.server.setSecureContext(this.loadTlsOptions());
+      this.platform.log.info('Webhook server certificate reloaded');
+    } catch (error) {
+      this.platform.log.error('Failed to reload webhook server certificate, keeping the current one:', error.message);
+    }
+  }
+
+  /**
+   * Redirect plain HTTP requests to the HTTPS server
+   */
+  async startRedirectServer() {
+    this.redirectServer = http.createServer((req, res) => {
+      // Only redirect to a plain host name or address
+      const host = (req.headers.host || '').replace(/:\d+$/, '');
+      if (!/^[\w.-]+$|^\[[\da-f:.]+\]$/i.test(host)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad Request');
+        return;
+      }
+
+      const port = this.port === 443 ? '' : `:${this.port}`;
+      res.writeHead(301, { 'Location': `https://${host}${port}${req.url}` });
+      res.end();
+    });
+
+    try {
+      await this.listen(this.redirectServer, this.tls.redirectPort);
+      this.platform.log.info(`Redirecting HTTP on port ${this.tls.redirectPort} to HTTPS`);
+    } catch (error) {
+      this.platform.log.error(`Failed to start HTTP redirect on port ${this.tls.redirectPort}:`, error.message);
+      this.redirectServer = null;
+    }
+  }
+
   /**
    * Handle incoming HTTP request
    */
   handleRequest(req, res) {
     this.debugLog(`Webhook request: ${req.method} ${req.url} from ${req.connection.remoteAddress}`);
     
+    // Admin API routes and /metrics share this server unless they have their own port
+    const adminApi = this.platform.adminApi;
+    if (adminApi && !adminApi.server && adminApi.handleRequest(req, res)) {
+      return;
+    }
+    const metrics = this.platform.metrics;
+    if (metrics && metrics.isSharedServer && metrics.handleRequest(req, res)) {
+      return;
+    }
+
     // Only handle POST requests to webhook path
     if (req.method !== 'POST' || req.url !== this.path) {
       this.debugLog(`Webhook request rejected: ${req.method} ${req.url} (expected POST ${this.path})`);
@@ -153,29 +354,41 @@ class WebhookServer {
       return;
     }
 
-    let body = '';
+    const chunks = [];
 
     req.on('data', (chunk) => {
-      body += chunk.toString();
+      chunks.push(chunk);
     });
 
     req.on('end', () => {
-            try {
-                // Log headers for debugging
-                this.debugLog('Webhook headers:', JSON.stringify(req.headers, null, 2));
-                
-                // Verify webhook signature (optional for now)
-                const signature = req.headers['x-seam-signature'] || req.headers['x-hub-signature-256'];
-                if (signature && !this.verifySignature(body, signature)) {
-                  this.platform.log.error('Webhook signature verification failed');
-                  res.writeHead(401, { 'Content-Type': 'application/json' });
-                  res.end(JSON.stringify({ error: 'Unauthorized' }));
-                  return;
-                } else if (!signature) {
-                  this.debugLog('Webhook received without signature (signature verification disabled)');
-                }
-
-        const payload = JSON.parse(body);
+      try {
+        // Signature covers the raw bytes of the body
+        const body = Buffer.concat(chunks);
+
+        // Log headers for debugging
+        this.debugLog('Webhook headers:', JSON.stringify(req.headers, null, 2));
+        
+        // Verify Svix webhook signature
+        if (!this.verifySignature(body, req.headers)) {
+          this.platform.log.error('Webhook signature verification failed');
+          this.recordRejectedWebhook('signature');
+          res.writeHead(401, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Unauthorized' }));
+          return;
+        }
+
+        // Drop replays of already delivered messages
+        const messageId = req.headers['svix-id'];
+        if (this.isReplay(messageId)) {
+          this.platform.log.warn(`Webhook message ${messageId} already processed, ignoring replay`);
+          this.recordRejectedWebhook('replay');
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, duplicate: true }));
+          return;
+        }
+
+        const payload = JSON.parse(body.toString('utf8'));
+        this.rememberMessage(messageId);
         this.platform.log.info(`[WEBHOOK] Received webhook: ${payload.event_type || 'unknown'} for device ${payload.device_id || 'unknown'}`);
         this.debugLog('Webhook received:', payload);
 
@@ -187,58 +400,112 @@ class WebhookServer {
         res.end(JSON.stringify({ success: true }));
       } catch (error) {
         this.platform.log.error('Failed to process webhook:', error.message);
+        this.recordRejectedWebhook('invalid');
         res.writeHead(400, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Bad Request' }));
       }
     });
   }
 
+  /**
+   * Count a rejected webhook request or event in the metrics (if enabled)
+   */
+  recordRejectedWebhook(reason, eventType) {
+    if (this.platform.metrics) {
+      this.platform.metrics.recordRejectedWebhook(reason, eventType);
+    }
+  }
+
   /**
    * Process webhook payload with timestamp support
+   * Events replayed by the catch-up routine (options.replay) take the same path
    */
-  processWebhook(payload) {
+  processWebhook(payload, options = {}) {
     this.debugLog(`Processing webhook payload:`, JSON.stringify(payload, null, 2));
     
     if (!payload || !payload.event_type) {
       this.platform.log.warn('Invalid webhook payload received');
+      this.recordRejectedWebhook('invalid');
       return;
     }
 
     const eventType = payload.event_type;
     const deviceId = payload.device_id;
+    const replay = Boolean(options.replay);
+    const label = replay ? 'Catch-up' : 'Webhook';
     
     // Extract timestamp from webhook - Seam provides occurred_at field
     const eventTime = payload.occurred_at ? new Date(payload.occurred_at).getTime() : Date.now();
     const eventTimeStr = payload.occurred_at || new Date(eventTime).toISOString();
 
-    this.debugLog(`Webhook event: ${eventType} for device ${deviceId} occurred at ${eventTimeStr}`);
+    this.debugLog(`${label} event: ${eventType} for device ${deviceId} occurred at ${eventTimeStr}`);
+
+    if (this.platform.metrics) {
+      this.platform.metrics.recordWebhookEvent(eventType, replay ? 'catch-up' : 'webhook');
+    }
+
+    // Each Seam event is processed once, whether it came as a webhook or from catch-up
+    if (this.platform.eventCatchUp && !this.platform.eventCatchUp.markProcessed(payload.event_id)) {
+      this.debugLog(`Event ${payload.event_id} (${eventType}) already processed, skipping`);
+      this.recordRejectedWebhook('duplicate', eventType);
+      return;
+    }
+
+    // Connected account events carry no device ID and affect every lock of that account
+    if (eventType === 'connected_account.disconnected' || eventType === 'connected_account.connected') {
+      this.processConnectedAccountEvent(payload, eventTime);
+      return;
+    }
 
     // Find accessory
     const accessory = this.platform.accessories.find(acc => acc.deviceId === deviceId);
     if (!accessory) {
       this.platform.log.warn(`No accessory found for device ${deviceId}. Available accessories:`, this.platform.accessories.map(acc => acc.deviceId));
+      this.recordRejectedWebhook('unknown_device', eventType);
       return;
     }
 
-    // Check if this event is newer than the last processed event
-    if (accessory.lastEventTime && eventTime <= accessory.lastEventTime) {
-      this.debugLog(`Webhook event ${eventType} for ${deviceId} is older than last processed event (${new Date(accessory.lastEventTime).toISOString()}), skipping`);
+    // Events older than the current state must not change HomeKit (missed events must not
+    // override fresher polling or command state), they still go to the history and event sinks
+    const isOlderThanLastEvent = accessory.lastEventTime && eventTime <= accessory.lastEventTime;
+    if (isOlderThanLastEvent || (replay && eventTime <= accessory.getLastUpdateTime())) {
+      if (replay) {
+        this.platform.log.info(`[CATCH-UP] Missed event: ${eventType} for ${accessory.name} at ${eventTimeStr} (older than current state, recorded but not applied)`);
+      } else {
+        this.debugLog(`Webhook event ${eventType} for ${deviceId} is older than last processed event (${new Date(accessory.lastEventTime).toISOString()}), recorded but not applied`);
+      }
+
+      const state = this.getEventState(eventType, payload);
+      if (state) {
+        accessory.recordStaleEvent(state, 'webhook', eventTime);
+      }
       return;
     }
 
+    if (replay) {
+      this.platform.log.info(`[CATCH-UP] Replaying missed event: ${eventType} for ${accessory.name} at ${eventTimeStr}`);
+    }
+
     // Update last event time
     accessory.lastEventTime = eventTime;
 
     // Update accessory state based on event type
     switch (eventType) {
       case 'lock.locked':
-        this.platform.log.info(`Webhook: ${deviceId} lock.locked event received at ${eventTimeStr}`);
-        accessory.updateStateWithPriority({ locked: true }, 'webhook', eventTime);
+        this.platform.log.info(`${label}: ${deviceId} lock.locked event received at ${eventTimeStr}`);
+        accessory.updateStateWithPriority({ locked: true, method: payload.method, access_code_id: payload.access_code_id }, 'webhook', eventTime);
         break;
       
       case 'lock.unlocked':
-        this.platform.log.info(`Webhook: ${deviceId} lock.unlocked event received at ${eventTimeStr}`);
-        accessory.updateStateWithPriority({ locked: false }, 'webhook', eventTime);
+        this.platform.log.info(`${label}: ${deviceId} lock.unlocked event received at ${eventTimeStr}`);
+        accessory.updateStateWithPriority({ locked: false, method: payload.method, access_code_id: payload.access_code_id }, 'webhook', eventTime);
+        
+        // Only live events fire "who unlocked" triggers, replayed ones are too old for automations
+        if (!replay) {
+          accessory.handleUnlockEvent(payload).catch((error) => {
+            this.platform.log.error(`Failed to fire unlock triggers for ${accessory.name}:`, error.message);
+          });
+        }
         break;
       
       case 'device.connected':
@@ -285,10 +552,12 @@ class WebhookServer {
       
       case 'device.tampered':
         this.platform.log.warn(`Device ${deviceId} tampering detected!`);
+        accessory.handleTamperEvent(eventTime);
         break;
       
       case 'lock.access_denied':
         this.platform.log.warn(`Device ${deviceId} access denied`);
+        accessory.handleAccessDeniedEvent(eventTime);
         break;
       
       default:
@@ -296,6 +565,56 @@ class WebhookServer {
     }
   }
 
+  /**
+   * State reported by a lock, door or connection event, null for other events
+   */
+  getEventState(eventType, payload) {
+    switch (eventType) {
+      case 'lock.locked':
+        return { locked: true, method: payload.method, access_code_id: payload.access_code_id };
+      case 'lock.unlocked':
+        return { locked: false, method: payload.method, access_code_id: payload.access_code_id };
+      case 'device.door_opened':
+        return { door_open: true };
+      case 'device.door_closed':
+        return { door_open: false };
+      case 'device.connected':
+        return { online: true };
+      case 'device.disconnected':
+        return { online: false };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Apply connected account state to every lock that belongs to the account
+   */
+  processConnectedAccountEvent(payload, eventTime) {
+    const disconnected = payload.event_type === 'connected_account.disconnected';
+    const accountId = payload.connected_account_id;
+    const accessories = this.platform.accessories.filter(acc => accountId && acc.device?.connected_account_id === accountId);
+
+    if (accessories.length === 0) {
+      this.debugLog(`No accessories found for connected account ${accountId || 'unknown'}`);
+      return;
+    }
+
+    if (disconnected) {
+      this.platform.log.warn(`Connected account ${accountId} disconnected, ${accessories.length} lock(s) affected`);
+    } else {
+      this.platform.log.info(`Connected account ${accountId} connected`);
+    }
+
+    for (const accessory of accessories) {
+      const errors = accessory.deviceErrors.filter(error => error.code !== 'account_disconnected');
+      if (disconnected) {
+        errors.push({ code: 'account_disconnected', message: 'Connected account disconnected' });
+      }
+      accessory.updateStateWithPriority({ errors }, 'webhook', eventTime);
+    }
+  }
+
   /**
    * Get supported webhook events based on device capabilities
    */
@@ -306,7 +625,11 @@ class WebhookServer {
       'lock.locked',
       'lock.unlocked',
       'device.low_battery',
-      'device.battery_status_changed'
+      'device.battery_status_changed',
+      'device.tampered',
+      'lock.access_denied',
+      'connected_account.disconnected',
+      'connected_account.connected'
     ];
     
     // Check if any device supports door sensor
@@ -329,40 +652,110 @@ class WebhookServer {
    */
   async registerWebhook() {
     try {
-      // Check if webhook already exists for this URL
+      // Determine supported events based on device capabilities
+      const eventTypes = this.getSupportedWebhookEvents();
+
+      // Check if the saved webhook still exists in Seam with our URL and events
       const existingWebhooks = await this.platform.seamAPI.listWebhooks();
-      const existingWebhook = existingWebhooks.find(wh => wh.url === this.webhookUrl);
+      const existingWebhook = existingWebhooks.find(wh => wh.url === this.webhookUrl &&
+        (!this.webhookId || wh.webhook_id === this.webhookId));
+      const missingEvents = existingWebhook && Array.isArray(existingWebhook.event_types)
+        ? eventTypes.filter(eventType => !existingWebhook.event_types.includes(eventType))
+        : [];
       
-      if (existingWebhook) {
+      if (existingWebhook && missingEvents.length === 0) {
         this.webhookId = existingWebhook.webhook_id;
-        this.debugLog(`Using existing webhook: ${this.webhookId}`);
+        this.secret = existingWebhook.secret || this.secret;
+        this.platform.log.info(`Using existing webhook: ${this.webhookId}`);
         this.debugLog(`Webhook URL: ${this.webhookUrl}`);
-        this.debugLog(`Webhook secret: ${this.secret.substring(0, 8)}...`);
+        this.debugLog(`Webhook secret: ${this.secret ? this.secret.substring(0, 8) + '...' : 'not available'}`);
+        
+        // Keep the saved registration in sync (e.g. first run after upgrading)
+        this.saveRegistration();
         return;
       }
 
+      if (existingWebhook) {
+        this.platform.log.info(`Saved webhook is missing events (${missingEvents.join(', ')}), re-registering`);
+      } else if (this.webhookId) {
+        this.platform.log.warn(`Saved webhook ${this.webhookId} no longer exists in Seam, re-registering`);
+      }
+
       // Clean up any other webhooks first
       await this.cleanupWebhook();
-
-      // Determine supported events based on device capabilities
-      const eventTypes = this.getSupportedWebhookEvents();
       
       this.debugLog(`Registering webhook with events: ${eventTypes.join(', ')}`);
       
       const webhook = await this.platform.seamAPI.createWebhook(this.webhookUrl, eventTypes);
       
       this.webhookId = webhook.webhook_id;
+      this.secret = webhook.secret || null;
       this.platform.log.info(`Webhook registered with Seam: ${this.webhookId}`);
       this.debugLog(`Webhook URL: ${this.webhookUrl}`);
-      this.debugLog(`Webhook secret: ${this.secret}`);
+
+      if (!this.secret) {
+        this.platform.log.warn('Seam did not return a webhook signing secret, webhooks will be rejected while signatures are required');
+      }
       
       // Save the new configuration
-      this.platform.saveWebhookConfig(this.path, this.secret);
+      this.saveRegistration();
     } catch (error) {
       this.platform.log.error('Failed to register webhook:', error.message);
     }
   }
 
+  /**
+   * Persist the current registration so the next start can reuse it
+   */
+  saveRegistration() {
+    this.registration = {
+      webhookId: this.webhookId,
+      baseUrl: this.config.url,
+      path: this.path,
+      secret: this.secret,
+      updatedAt: new Date().toISOString()
+    };
+    this.platform.saveWebhookConfig(this.registration);
+  }
+
+  /**
+   * Replace the webhook registration with a new path and secret (admin API POST /webhook/rotate)
+   */
+  async rotateWebhook() {
+    this.platform.log.info('Rotating webhook registration...');
+
+    await this.deleteWebhook(this.webhookId);
+    this.platform.clearWebhookConfig();
+
+    this.path = this.generatePath();
+    this.webhookUrl = this.config.url + this.path;
+    this.secret = null;
+    this.webhookId = null;
+    this.seenMessageIds.clear();
+
+    await this.registerWebhook();
+
+    // Events may have been missed while no registration existed
+    if (this.platform.eventCatchUp) {
+      this.platform.eventCatchUp.run('webhook rotation');
+    }
+    return Boolean(this.webhookId);
+  }
+
+  /**
+   * Remove the saved webhook registration from Seam and disk (used when webhooks are disabled)
+   */
+  async unregister() {
+    const registration = this.platform.loadWebhookConfig();
+    if (!registration) {
+      return;
+    }
+
+    this.platform.log.info('Webhooks disabled, removing saved webhook registration');
+    await this.deleteWebhook(registration.webhookId);
+    this.platform.clearWebhookConfig();
+  }
+
   /**
    * Clean up existing webhooks
    */
@@ -391,6 +784,15 @@ class WebhookServer {
    * Stop webhook server
    */
   async stop() {
+    this.unwatchCertificates();
+
+    if (this.redirectServer) {
+      await new Promise((resolve) => {
+        this.redirectServer.close(() => resolve());
+      });
+      this.redirectServer = null;
+    }
+
     if (this.server) {
       // Close server
       await new Promise((resolve) => {
@@ -403,29 +805,27 @@ class WebhookServer {
       this.server = null;
     }
 
-    // Always clean up webhook when stopping
-    await this.cleanupWebhook();
-    
-    // Clear saved configuration when stopping
-    this.platform.saveWebhookConfig('', '');
-    
-    // Clear local values
-    this.path = null;
-    this.secret = null;
-    this.webhookId = null;
+    // Keep the webhook registered in Seam so it survives restarts (see saveRegistration)
+    this.debugLog(`Webhook ${this.webhookId || 'not registered'} left registered for next start`);
   }
 
   /**
    * Manually delete webhook from Seam (if needed)
    */
-  async deleteWebhook() {
-    if (this.webhookId) {
+  async deleteWebhook(webhookId = this.webhookId) {
+    if (webhookId) {
       try {
-        await this.platform.seamAPI.deleteWebhook(this.webhookId);
-        this.debugLog(`Webhook ${this.webhookId} deleted from Seam`);
-        this.webhookId = null;
+        await this.platform.seamAPI.deleteWebhook(webhookId);
+        this.debugLog(`Webhook ${webhookId} deleted from Seam`);
+        if (webhookId === this.webhookId) {
+          this.webhookId = null;
+        }
         return true;
       } catch (error) {
+        // Already gone is as good as deleted
+        if (error.statusCode === 404) {
+          return true;
+        }
         this.platform.log.error('Failed to delete webhook:', error.message);
         return false;
       }
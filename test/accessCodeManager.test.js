@@ -0,0 +1,252 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AccessCodeManager = require('../src/accessCodeManager');
+
+// In-memory Seam access codes of one device
+function createSeamAPI(accessCodes = []) {
+  let nextId = accessCodes.length + 1;
+
+  return {
+    accessCodes,
+    calls: [],
+    async listAccessCodes() {
+      return this.accessCodes.map(accessCode => Object.assign({}, accessCode));
+    },
+    async createAccessCode(deviceId, params) {
+      this.calls.push(['create', params.name]);
+      const accessCode = Object.assign({ access_code_id: `code-${nextId++}` }, params);
+      this.accessCodes.push(accessCode);
+      return accessCode;
+    },
+    async updateAccessCode(accessCodeId, params) {
+      this.calls.push(['update', params.name]);
+      Object.assign(this.accessCodes.find(accessCode => accessCode.access_code_id === accessCodeId), params);
+      return true;
+    },
+    async deleteAccessCode(accessCodeId) {
+      this.calls.push(['delete', accessCodeId]);
+      this.accessCodes = this.accessCodes.filter(accessCode => accessCode.access_code_id !== accessCodeId);
+      return true;
+    }
+  };
+}
+
+// accessCodesConfig is the per-device section, platformConfig the platform wide one (interval, lookahead, timezone)
+function createManager(accessCodesConfig, seamAPI = createSeamAPI(), storage = {}, platformConfig = {}) {
+  const accessory = { deviceId: 'device-1', name: 'Front Door', config: { accessCodes: accessCodesConfig } };
+  const platform = {
+    config: { accessCodes: platformConfig },
+    log: { info() {}, warn() {}, error() {} },
+    accessories: [accessory],
+    seamAPI,
+    readStorageFile: (name) => storage[name] ? JSON.parse(storage[name]) : null,
+    writeStorageFile: (name, data) => {
+      storage[name] = JSON.stringify(data);
+    }
+  };
+
+  return { manager: new AccessCodeManager(platform), accessory, seamAPI, storage };
+}
+
+test('creates configured codes and leaves unmanaged ones alone', async () => {
+  const seamAPI = createSeamAPI([{ access_code_id: 'existing', name: 'Installer', code: '9999' }]);
+  const { manager, accessory } = createManager({ codes: [{ name: 'Alice', code: '1234' }, { name: 'Bob', code: 5678 }] }, seamAPI);
+
+  const summary = await manager.reconcile(accessory);
+
+  assert.deepStrictEqual(summary, { created: 2, updated: 0, deleted: 0, unchanged: 0, unmanaged: 1, failed: 0 });
+  assert.deepStrictEqual(seamAPI.accessCodes.map(accessCode => accessCode.name).sort(), ['Alice', 'Bob', 'Installer']);
+
+  // Nothing to do the second time
+  seamAPI.calls = [];
+  const again = await manager.reconcile(accessory);
+  assert.deepStrictEqual(again, { created: 0, updated: 0, deleted: 0, unchanged: 2, unmanaged: 1, failed: 0 });
+  assert.deepStrictEqual(seamAPI.calls, []);
+});
+
+test('matches codes by PIN and renames them in place', async () => {
+  const seamAPI = createSeamAPI([{ access_code_id: 'code-1', name: 'Alice', code: '1234' }]);
+  const { manager, accessory } = createManager({ codes: [{ name: 'Alice Smith', code: '1234' }] }, seamAPI);
+
+  const summary = await manager.reconcile(accessory);
+
+  assert.strictEqual(summary.updated, 1);
+  assert.deepStrictEqual(seamAPI.accessCodes.map(accessCode => [accessCode.access_code_id, accessCode.name]), [['code-1', 'Alice Smith']]);
+});
+
+test('deletes managed codes removed from the config, unmanaged ones only when asked to', async () => {
+  const storage = {};
+  const seamAPI = createSeamAPI([{ access_code_id: 'existing', name: 'Installer', code: '9999' }]);
+  const config = { codes: [{ name: 'Alice', code: '1234' }, { name: 'Bob', code: '5678' }] };
+  const { manager, accessory } = createManager(config, seamAPI, storage);
+  await manager.reconcile(accessory);
+
+  // Managed codes are remembered across restarts
+  config.codes = [{ name: 'Alice', code: '1234' }];
+  const restarted = createManager(config, seamAPI, storage);
+  const summary = await restarted.manager.reconcile(restarted.accessory);
+
+  assert.strictEqual(summary.deleted, 1);
+  assert.deepStrictEqual(seamAPI.accessCodes.map(accessCode => accessCode.name).sort(), ['Alice', 'Installer']);
+
+  config.deleteUnmanaged = true;
+  await restarted.manager.reconcile(restarted.accessory);
+  assert.deepStrictEqual(seamAPI.accessCodes.map(accessCode => accessCode.name), ['Alice']);
+});
+
+test('skips entries without a name or a 4-8 digit code', async () => {
+  const { manager, accessory } = createManager({ codes: [{ name: 'Short', code: '12' }, { code: '1234' }, { name: 'Letters', code: '12ab' }, null, { name: 'Alice', code: '12345678' }] });
+
+  assert.deepStrictEqual(manager.getDesiredCodes(accessory).map(code => code.name), ['Alice']);
+});
+
+test('keeps reconciling other codes when one fails', async () => {
+  const seamAPI = createSeamAPI();
+  const createAccessCode = seamAPI.createAccessCode;
+  seamAPI.createAccessCode = async function (deviceId, params) {
+    if (params.name === 'Alice') {
+      throw new Error('API Error 400: code already in use');
+    }
+    return createAccessCode.call(this, deviceId, params);
+  };
+  const { manager, accessory } = createManager({ codes: [{ name: 'Alice', code: '1234' }, { name: 'Bob', code: '5678' }] }, seamAPI);
+
+  const summary = await manager.reconcile(accessory);
+
+  assert.strictEqual(summary.created, 1);
+  assert.strictEqual(summary.failed, 1);
+});
+
+test('reads times without an offset in the configured timezone', () => {
+  const { manager } = createManager({});
+
+  assert.strictEqual(manager.parseTime('2025-07-01T15:00', 'America/New_York'), Date.parse('2025-07-01T19:00:00Z'));
+  assert.strictEqual(manager.parseTime('2025-01-01 15:00', 'America/New_York'), Date.parse('2025-01-01T20:00:00Z'));
+  assert.strictEqual(manager.parseTime('2025-07-01T15:00:30', 'America/New_York'), Date.parse('2025-07-01T19:00:30Z'));
+  assert.strictEqual(manager.parseTime('2025-07-01', 'Europe/Berlin'), Date.parse('2025-06-30T22:00:00Z'));
+  assert.strictEqual(manager.parseTime('2025-07-01T15:00:00Z', 'America/New_York'), Date.parse('2025-07-01T15:00:00Z'));
+  assert.strictEqual(manager.parseTime('2025-07-01T15:00:00+02:00', 'America/New_York'), Date.parse('2025-07-01T13:00:00Z'));
+  assert.ok(isNaN(manager.parseTime('next tuesday', 'UTC')));
+});
+
+test('creates time-bound codes and drops expired ones', async () => {
+  const { manager, accessory, seamAPI } = createManager({
+    timezone: 'UTC',
+    codes: [
+      { name: 'Guest', code: '1111', startsAt: '2099-07-01T15:00', endsAt: '2099-07-05T11:00' },
+      { name: 'Past guest', code: '2222', startsAt: '2020-07-01', endsAt: '2020-07-05' },
+      { name: 'Backwards', code: '3333', startsAt: '2099-07-05', endsAt: '2099-07-01' }
+    ]
+  });
+
+  await manager.reconcile(accessory);
+
+  assert.deepStrictEqual(seamAPI.accessCodes.map(accessCode => [accessCode.name, accessCode.starts_at, accessCode.ends_at]), [
+    ['Guest', '2099-07-01T15:00:00.000Z', '2099-07-05T11:00:00.000Z']
+  ]);
+});
+
+test('switches a code back to ongoing when its schedule is removed', async () => {
+  const seamAPI = createSeamAPI([{ access_code_id: 'code-1', name: 'Guest', code: '1111', starts_at: '2099-07-01T15:00:00.000Z', ends_at: '2099-07-05T11:00:00.000Z' }]);
+  const { manager, accessory } = createManager({ codes: [{ name: 'Guest', code: '1111' }] }, seamAPI);
+
+  await manager.reconcile(accessory);
+
+  assert.strictEqual(seamAPI.accessCodes[0].type, 'ongoing');
+});
+
+test('deletes expired time-bound codes it manages', async () => {
+  const storage = { 'access-codes.json': JSON.stringify({ devices: { 'device-1': ['code-1'] } }) };
+  const seamAPI = createSeamAPI([{ access_code_id: 'code-1', name: 'Guest', code: '1111', starts_at: '2020-07-01T00:00:00.000Z', ends_at: '2020-07-05T00:00:00.000Z' }]);
+  const { manager, accessory } = createManager({ codes: [] }, seamAPI, storage);
+
+  const summary = await manager.reconcile(accessory);
+
+  assert.strictEqual(summary.deleted, 1);
+  assert.deepStrictEqual(seamAPI.accessCodes, []);
+});
+
+test('expands recurring entries into the current and upcoming windows', () => {
+  const { manager, accessory } = createManager({}, undefined, undefined, { lookahead: 2 });
+  const entry = { name: 'Cleaner', code: '4321', recurring: { days: ['mon', 'wednesday'], startTime: '09:00', endTime: '12:00' } };
+
+  // Monday 10:00 in Berlin (summer time), the Monday window is running
+  const now = Date.parse('2025-07-07T08:00:00Z');
+  const windows = manager.getRecurringWindows(accessory, entry, 'Europe/Berlin', now);
+
+  assert.deepStrictEqual(windows.map(window => [new Date(window.startsAt).toISOString(), new Date(window.endsAt).toISOString()]), [
+    ['2025-07-07T07:00:00.000Z', '2025-07-07T10:00:00.000Z'],
+    ['2025-07-09T07:00:00.000Z', '2025-07-09T10:00:00.000Z']
+  ]);
+});
+
+test('ends recurring windows on the next day when they run over midnight', () => {
+  const { manager, accessory } = createManager({}, undefined, undefined, { lookahead: 1 });
+  const entry = { name: 'Night shift', code: '4321', recurring: { days: ['sun'], startTime: '22:00', endTime: '06:00' } };
+
+  // Monday 02:00, the window started on Sunday
+  const windows = manager.getRecurringWindows(accessory, entry, 'UTC', Date.parse('2025-07-07T02:00:00Z'));
+
+  assert.deepStrictEqual(windows.map(window => [new Date(window.startsAt).toISOString(), new Date(window.endsAt).toISOString()]), [
+    ['2025-07-06T22:00:00.000Z', '2025-07-07T06:00:00.000Z']
+  ]);
+});
+
+test('follows daylight saving changes in recurring windows', () => {
+  const { manager, accessory } = createManager({}, undefined, undefined, { lookahead: 7 });
+  const entry = { name: 'Cleaner', code: '4321', recurring: { days: ['sat', 'mon'], startTime: '09:00', endTime: '10:00' } };
+
+  // Berlin switches to summer time on Sunday 30 March 2025
+  const windows = manager.getRecurringWindows(accessory, entry, 'Europe/Berlin', Date.parse('2025-03-28T12:00:00Z'));
+
+  assert.deepStrictEqual(windows.map(window => new Date(window.startsAt).toISOString()).slice(0, 2), [
+    '2025-03-29T08:00:00.000Z',
+    '2025-03-31T07:00:00.000Z'
+  ]);
+});
+
+test('skips recurring entries with unknown days or times', () => {
+  const { manager, accessory } = createManager({});
+
+  for (const recurring of [{ days: [], startTime: '09:00', endTime: '10:00' }, { days: ['someday'], startTime: '09:00', endTime: '10:00' }, { days: ['mon'], startTime: '9am', endTime: '10:00' }, { days: ['mon'], startTime: '25:99', endTime: '10:00' }, { days: ['mon'], startTime: '09:00', endTime: '24:00' }, { days: ['mon'], startTime: '09:60', endTime: '10:00' }]) {
+    assert.deepStrictEqual(manager.getRecurringWindows(accessory, { name: 'Cleaner', code: '4321', recurring }, 'UTC', Date.now()), []);
+  }
+});
+
+test('names recurring codes after the local date of their window', () => {
+  const { manager, accessory } = createManager({ timezone: 'UTC', codes: [{ name: 'Cleaner', code: '4321', recurring: { days: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'], startTime: '00:00', endTime: '23:59' } }] });
+
+  const codes = manager.getDesiredCodes(accessory);
+
+  assert.ok(codes.length >= 2);
+  assert.ok(codes.every(code => /^Cleaner \d{4}-\d{2}-\d{2}$/.test(code.name) && code.code === '4321' && code.endsAt > Date.now()));
+});
+
+test('skips codes that reuse a PIN at an overlapping time', () => {
+  const { manager, accessory } = createManager({
+    timezone: 'UTC',
+    codes: [
+      { name: 'Guest 1', code: '1111', startsAt: '2099-07-01', endsAt: '2099-07-05' },
+      { name: 'Guest 2', code: '1111', startsAt: '2099-07-04', endsAt: '2099-07-08' },
+      { name: 'Guest 3', code: '1111', startsAt: '2099-07-05', endsAt: '2099-07-08' },
+      { name: 'Guest 4', code: '2222', startsAt: '2099-07-01', endsAt: '2099-07-05' }
+    ]
+  });
+
+  assert.deepStrictEqual(manager.getDesiredCodes(accessory).map(code => code.name), ['Guest 1', 'Guest 3', 'Guest 4']);
+});
+
+test('treats codes without a schedule as overlapping every code with the same PIN', () => {
+  const { manager, accessory } = createManager({});
+  const codes = [
+    { name: 'Guest', code: '1111', startsAt: Date.parse('2099-07-01'), endsAt: Date.parse('2099-07-05') },
+    { name: 'Alice', code: '1111', startsAt: null, endsAt: null },
+    { name: 'Bob', code: '2222', startsAt: null, endsAt: null },
+    { name: 'Bob again', code: '2222', startsAt: null, endsAt: null }
+  ];
+
+  assert.deepStrictEqual(manager.withoutOverlaps(accessory, codes).map(code => code.name), ['Guest', 'Bob']);
+});
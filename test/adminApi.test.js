@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AdminApi = require('../src/adminApi');
+const WebhookServer = require('../src/webhookServer');
+
+function createPlatform() {
+  const saved = [];
+  const platform = {
+    config: {},
+    log: { info() {}, warn() {}, error() {} },
+    accessories: [],
+    loadWebhookConfig: () => null,
+    saveWebhookConfig: (registration) => saved.push(registration),
+    clearWebhookConfig() {},
+    seamAPI: {
+      deleted: [],
+      async deleteWebhook(webhookId) {
+        this.deleted.push(webhookId);
+      },
+      async listWebhooks() {
+        return [];
+      },
+      async createWebhook(url) {
+        return { webhook_id: 'webhook-2', url, secret: 'whsec_bmV3' };
+      }
+    }
+  };
+
+  return { platform, saved };
+}
+
+test('rotates the webhook registration on demand', async () => {
+  const { platform, saved } = createPlatform();
+  const webhookServer = new WebhookServer(platform, { enabled: true, url: 'https://example.com' });
+  webhookServer.server = {};
+  webhookServer.path = '/old-path';
+  webhookServer.webhookId = 'webhook-1';
+  platform.webhookServer = webhookServer;
+
+  const adminApi = new AdminApi(platform, { token: 'secret' });
+  const result = await adminApi.handleRotateWebhook();
+
+  assert.deepStrictEqual(result, { status: 200, body: { webhookId: 'webhook-2' } });
+  assert.deepStrictEqual(platform.seamAPI.deleted, ['webhook-1']);
+  assert.notStrictEqual(webhookServer.path, '/old-path');
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(saved[0].path, webhookServer.path);
+  assert.strictEqual(saved[0].secret, 'whsec_bmV3');
+});
+
+test('refuses to rotate without a running webhook server', async () => {
+  const { platform } = createPlatform();
+  const adminApi = new AdminApi(platform, { token: 'secret' });
+
+  const result = await adminApi.handleRotateWebhook();
+
+  assert.strictEqual(result.status, 409);
+});
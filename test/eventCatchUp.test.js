@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const EventCatchUp = require('../src/eventCatchUp');
+
+// Platform whose Seam API serves the given pages, linked by page cursors
+function createPlatform(pages, saved) {
+  const requests = [];
+  const replayed = [];
+  const warnings = [];
+  const files = { 'events.json': saved };
+
+  const platform = {
+    config: {},
+    log: { info() {}, warn(message) { warnings.push(message); }, error() {} },
+    accessories: [{ deviceId: 'device-1' }],
+    readStorageFile: (name) => files[name],
+    writeStorageFile: (name, data) => { files[name] = data; },
+    seamAPI: {
+      async listEvents(params) {
+        requests.push(params);
+        const index = params.page_cursor ? Number(params.page_cursor) : 0;
+        return { events: pages[index], nextPageCursor: index + 1 < pages.length ? String(index + 1) : null };
+      }
+    },
+    webhookServer: {
+      processWebhook(event) {
+        platform.eventCatchUp.markProcessed(event.event_id);
+        replayed.push(event.event_id);
+      }
+    }
+  };
+
+  return { platform, requests, replayed, warnings, files };
+}
+
+function createEvents(page, count, time) {
+  return Array.from({ length: count }, (_, i) => ({
+    event_id: `event-${page}-${i}`,
+    occurred_at: new Date(time + i).toISOString()
+  }));
+}
+
+test('follows the page cursor with the same since', async () => {
+  const time = Date.now() - 60 * 1000;
+  const { platform, requests, replayed, files } = createPlatform(
+    [createEvents(0, 3, time), createEvents(1, 2, time)],
+    { cursor: new Date(time).toISOString() }
+  );
+  platform.eventCatchUp = new EventCatchUp(platform, {});
+
+  await platform.eventCatchUp.run('startup');
+
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(requests[0].page_cursor, undefined);
+  assert.strictEqual(requests[1].page_cursor, '1');
+  assert.strictEqual(requests[1].since, requests[0].since);
+  assert.strictEqual(replayed.length, 5);
+  assert.ok(new Date(files['events.json'].cursor).getTime() > time);
+});
+
+test('continues from the newest event after the page limit without replaying it twice', async () => {
+  const time = Date.now() - 60 * 1000;
+  const pages = Array.from({ length: 11 }, (_, page) => createEvents(page, 500, time + page * 500));
+  const { platform, replayed, warnings, files } = createPlatform(pages, { cursor: new Date(time).toISOString() });
+  platform.eventCatchUp = new EventCatchUp(platform, {});
+
+  await platform.eventCatchUp.run('startup');
+
+  assert.strictEqual(replayed.length, 5000);
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(files['events.json'].cursor, new Date(time + 9 * 500 + 499).toISOString());
+  assert.strictEqual(files['events.json'].processedEventIds.length, 5000);
+
+  // The next run re-reads the overlap, only the events it has not seen are replayed
+  const next = createPlatform([pages[9].concat(pages[10])], files['events.json']);
+  next.platform.eventCatchUp = new EventCatchUp(next.platform, {});
+  await next.platform.eventCatchUp.run('periodic check');
+
+  assert.deepStrictEqual(next.replayed, pages[10].map(event => event.event_id));
+});
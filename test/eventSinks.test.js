@@ -0,0 +1,199 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+
+const EventSinks = require('../src/eventSinks');
+
+const accessory = {
+  deviceId: 'device-1',
+  name: 'Front "Door"',
+  isLocked: false,
+  batteryLevel: 80,
+  isLowBattery: false,
+  supportsDoorSensor: true,
+  isDoorOpen: false
+};
+
+function createPlatform(storage = {}) {
+  return {
+    config: {},
+    log: { info() {}, warn() {}, error() {} },
+    storage,
+    readStorageFile: (name) => storage[name] ? JSON.parse(storage[name]) : null,
+    writeStorageFile: (name, data) => {
+      storage[name] = JSON.stringify(data);
+    }
+  };
+}
+
+// Local endpoint answering with the given status codes in turn (200 once they run out)
+async function createEndpoint(t, statusCodes = [], delay = 0) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      setTimeout(() => {
+        res.writeHead(statusCodes.length > 0 ? statusCodes.shift() : 200);
+        res.end();
+      }, delay);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+async function dispatch(sinks, event) {
+  sinks.dispatch(accessory, event);
+  await Promise.all(sinks.inFlight.values());
+}
+
+test('delivers the normalised event signed with HMAC-SHA256', async (t) => {
+  const endpoint = await createEndpoint(t);
+  const sinks = new EventSinks(createPlatform(), [{ name: 'hook', url: endpoint.url, secret: 's3cret' }]);
+  t.after(() => sinks.stop());
+
+  await dispatch(sinks, { type: 'unlocked', source: 'webhook', method: 'keypad', locked: false });
+
+  assert.strictEqual(endpoint.requests.length, 1);
+  const { headers, body } = endpoint.requests[0];
+  const event = JSON.parse(body);
+  assert.strictEqual(event.type, 'unlocked');
+  assert.strictEqual(event.device_id, 'device-1');
+  assert.strictEqual(event.locked, false);
+  assert.strictEqual(event.message, 'Front "Door": unlocked (keypad)');
+  assert.strictEqual(headers['x-homebridge-seam-event'], 'unlocked');
+  assert.strictEqual(headers['x-homebridge-seam-delivery'], event.id);
+
+  const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['x-homebridge-seam-timestamp']}.${body}`).digest('hex');
+  assert.strictEqual(headers['x-homebridge-seam-signature'], `sha256=${expected}`);
+});
+
+test('leaves deliveries unsigned without a secret', async (t) => {
+  const endpoint = await createEndpoint(t);
+  const sinks = new EventSinks(createPlatform(), [{ url: endpoint.url }]);
+  t.after(() => sinks.stop());
+
+  await dispatch(sinks, { type: 'locked' });
+
+  assert.strictEqual(endpoint.requests[0].headers['x-homebridge-seam-signature'], undefined);
+});
+
+test('renders templates and headers, JSON escaping values for JSON templates', async (t) => {
+  const endpoint = await createEndpoint(t);
+  const sinks = new EventSinks(createPlatform(), [
+    { name: 'json', url: endpoint.url, template: '{"text": "{{message}}", "battery": {{ battery_level }}, "missing": "{{nope}}"}', headers: [{ name: 'X-Device', value: '{{device_id}}' }] },
+    { name: 'text', url: endpoint.url, contentType: 'text/plain', template: '{{device_name}} is {{type}}' }
+  ]);
+  t.after(() => sinks.stop());
+
+  await dispatch(sinks, { type: 'locked' });
+
+  const json = endpoint.requests.find(request => request.headers['content-type'] === 'application/json');
+  assert.deepStrictEqual(JSON.parse(json.body), { text: 'Front "Door": locked', battery: 80, missing: '' });
+  assert.strictEqual(json.headers['x-device'], 'device-1');
+
+  const text = endpoint.requests.find(request => request.headers['content-type'] === 'text/plain');
+  assert.strictEqual(text.body, 'Front "Door" is locked');
+});
+
+test('only sends the event types a sink subscribes to', async (t) => {
+  const endpoint = await createEndpoint(t);
+  const sinks = new EventSinks(createPlatform(), [{ url: endpoint.url, events: ['unlocked'] }]);
+  t.after(() => sinks.stop());
+
+  await dispatch(sinks, { type: 'locked' });
+  await dispatch(sinks, { type: 'unlocked' });
+
+  assert.deepStrictEqual(endpoint.requests.map(request => JSON.parse(request.body).type), ['unlocked']);
+});
+
+test('queues failed deliveries on disk and retries them after a restart', async (t) => {
+  const endpoint = await createEndpoint(t, [503]);
+  const platform = createPlatform();
+  const config = [{ name: 'hook', url: endpoint.url }];
+
+  const sinks = new EventSinks(platform, config);
+  await dispatch(sinks, { type: 'locked' });
+  await sinks.stop();
+
+  const saved = JSON.parse(platform.storage['event-sinks.json']).queue;
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(saved[0].attempts, 1);
+  assert.ok(saved[0].nextAttemptAt > Date.now());
+
+  // Restart with the saved queue, the retry sends exactly the same body
+  const restarted = new EventSinks(platform, config);
+  t.after(() => restarted.stop());
+  assert.strictEqual(restarted.queue.length, 1);
+
+  restarted.queue[0].nextAttemptAt = Date.now();
+  await restarted.processQueue();
+
+  assert.strictEqual(endpoint.requests.length, 2);
+  assert.strictEqual(endpoint.requests[1].body, endpoint.requests[0].body);
+  assert.strictEqual(endpoint.requests[1].headers['x-homebridge-seam-delivery'], endpoint.requests[0].headers['x-homebridge-seam-delivery']);
+  assert.deepStrictEqual(JSON.parse(platform.storage['event-sinks.json']).queue, []);
+});
+
+test('drops deliveries rejected with a client error', async (t) => {
+  const endpoint = await createEndpoint(t, [400]);
+  const platform = createPlatform();
+  const sinks = new EventSinks(platform, [{ url: endpoint.url }]);
+  t.after(() => sinks.stop());
+
+  await dispatch(sinks, { type: 'locked' });
+
+  assert.strictEqual(endpoint.requests.length, 1);
+  assert.strictEqual(sinks.queue.length, 0);
+});
+
+test('drops deliveries after the configured retries', async (t) => {
+  const endpoint = await createEndpoint(t, [500, 500]);
+  const sinks = new EventSinks(createPlatform(), [{ url: endpoint.url, retries: 1 }]);
+  t.after(() => sinks.stop());
+
+  await dispatch(sinks, { type: 'locked' });
+  assert.strictEqual(sinks.queue.length, 1);
+
+  sinks.queue[0].nextAttemptAt = Date.now();
+  await sinks.processQueue();
+
+  assert.strictEqual(endpoint.requests.length, 2);
+  assert.strictEqual(sinks.queue.length, 0);
+});
+
+test('forgets queued deliveries of sinks removed from the config', () => {
+  const platform = createPlatform({
+    'event-sinks.json': JSON.stringify({ queue: [{ id: '1', sink: 'removed', type: 'locked', body: '{}', attempts: 1, nextAttemptAt: 0 }] })
+  });
+
+  const sinks = new EventSinks(platform, [{ name: 'hook', url: 'http://127.0.0.1:1/hook' }]);
+
+  assert.deepStrictEqual(sinks.queue, []);
+});
+
+test('saves deliveries in flight at shutdown and waits for them', async (t) => {
+  const endpoint = await createEndpoint(t, [], 100);
+  const platform = createPlatform();
+  const sinks = new EventSinks(platform, [{ url: endpoint.url }]);
+
+  sinks.dispatch(accessory, { type: 'locked' });
+  const stopped = sinks.stop();
+
+  // Homebridge may exit before the delivery finishes, it is on disk already
+  assert.strictEqual(JSON.parse(platform.storage['event-sinks.json']).queue.length, 1);
+
+  await stopped;
+  assert.strictEqual(endpoint.requests.length, 1);
+  assert.deepStrictEqual(JSON.parse(platform.storage['event-sinks.json']).queue, []);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EventStore = require('../src/eventStore');
+
+function createStore(t, config = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'homebridge-seam-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const platform = {
+    config: {},
+    log: { info() {}, warn() {}, error() {} },
+    getStorageFile: (name) => path.join(directory, name)
+  };
+
+  return new EventStore(platform, config);
+}
+
+test('returns events newest first', (t) => {
+  const store = createStore(t);
+  const now = Date.now();
+
+  store.record('device-1', { type: 'locked', source: 'webhook', time: now - 3000 });
+  store.record('device-1', { type: 'unlocked', source: 'homekit', time: now - 1000 });
+  store.record('device-1', { type: 'door_opened', source: 'polling', time: now - 2000 });
+  store.record('device-2', { type: 'locked', source: 'webhook', time: now });
+
+  const events = store.query('device-1');
+
+  assert.deepStrictEqual(events.map(event => event.type), ['unlocked', 'door_opened', 'locked']);
+  assert.ok(events.every(event => event.deviceId === 'device-1' && event.recordedAt));
+});
+
+test('filters by type, source, time range and limit', (t) => {
+  const store = createStore(t);
+  const now = Date.now();
+
+  for (let i = 0; i < 10; i++) {
+    store.record('device-1', { type: i % 2 ? 'unlocked' : 'locked', source: i < 5 ? 'webhook' : 'homekit', time: now - (10 - i) * 1000 });
+  }
+
+  assert.strictEqual(store.query('device-1', { types: ['unlocked'] }).length, 5);
+  assert.strictEqual(store.query('device-1', { sources: ['homekit'] }).length, 5);
+  assert.deepStrictEqual(store.query('device-1', { types: ['locked'], sources: ['webhook'] }).map(event => event.time), [now - 6000, now - 8000, now - 10000]);
+  assert.deepStrictEqual(store.query('device-1', { since: now - 3000, until: new Date(now - 2000).toISOString() }).map(event => event.time), [now - 2000, now - 3000]);
+  assert.deepStrictEqual(store.query('device-1', { limit: 2 }).map(event => event.time), [now - 1000, now - 2000]);
+});
+
+test('leaves out events past the retention', (t) => {
+  const store = createStore(t, { retentionDays: 1 });
+  const now = Date.now();
+
+  store.record('device-1', { type: 'locked', time: now - 2 * 24 * 60 * 60 * 1000 });
+  store.record('device-1', { type: 'unlocked', time: now });
+
+  assert.deepStrictEqual(store.query('device-1').map(event => event.type), ['unlocked']);
+  assert.deepStrictEqual(store.query('device-1', { since: 0 }).map(event => event.type), ['unlocked']);
+});
+
+test('skips lines cut off by a crash', (t) => {
+  const store = createStore(t);
+
+  store.record('device-1', { type: 'locked' });
+  fs.appendFileSync(store.getFile('device-1'), '{"type":"unlo');
+
+  assert.deepStrictEqual(store.query('device-1').map(event => event.type), ['locked']);
+});
+
+test('rotates files at the size limit and keeps at most maxFiles', (t) => {
+  const store = createStore(t, { maxFileSize: 1, maxFiles: 3 });
+  const now = Date.now();
+  const padding = 'x'.repeat(200);
+
+  for (let i = 0; i < 41; i++) {
+    store.record('device-1', { type: 'locked', time: now - (41 - i) * 1000, padding });
+  }
+
+  const files = fs.readdirSync(store.directory).sort();
+  assert.deepStrictEqual(files, ['device-1.1.jsonl', 'device-1.2.jsonl', 'device-1.jsonl']);
+  assert.ok(files.every(file => fs.statSync(path.join(store.directory, file)).size < 1024 + 300));
+
+  // Newest events across all files, the oldest were dropped with the oldest file
+  const events = store.query('device-1', { limit: 1000 });
+  assert.ok(events.length > 0 && events.length < 41);
+  assert.strictEqual(events[0].time, now - 1000);
+  assert.deepStrictEqual(events.map(event => event.time), events.map(event => event.time).sort((a, b) => b - a));
+});
+
+test('keeps device files apart, even for IDs with path characters', (t) => {
+  const store = createStore(t);
+
+  store.record('../device-1', { type: 'locked' });
+  store.record('device-2', { type: 'unlocked' });
+
+  assert.strictEqual(path.dirname(store.getFile('../device-1')), store.directory);
+  assert.deepStrictEqual(store.query('../device-1').map(event => event.type), ['locked']);
+  assert.deepStrictEqual(store.query('device-2').map(event => event.type), ['unlocked']);
+});
@@ -0,0 +1,259 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const LockAccessory = require('../src/lockAccessory');
+
+class HapStatusError extends Error {
+  constructor(status) {
+    super(`HAP status ${status}`);
+    this.hapStatus = status;
+  }
+}
+
+// TLV8 items (type, length, value) of up to 255 bytes each
+function encode(...items) {
+  const parts = [];
+  for (let i = 0; i < items.length; i += 2) {
+    parts.push(Buffer.from([items[i], items[i + 1].length]), items[i + 1]);
+  }
+  return Buffer.concat(parts);
+}
+
+function decodeItems(buffer) {
+  const items = [];
+  for (let offset = 0; offset < buffer.length; offset += 2 + buffer[offset + 1]) {
+    items.push([buffer[offset], buffer.subarray(offset + 2, offset + 2 + buffer[offset + 1])]);
+  }
+  return items;
+}
+
+function decode(buffer) {
+  const result = {};
+  for (const [type, value] of decodeItems(buffer)) {
+    result[type] = value;
+  }
+  return result;
+}
+
+// Log entries of a Logs value, split at the empty separator items
+function decodeLogs(value) {
+  const entries = [{}];
+  for (const [type, data] of decodeItems(Buffer.from(value, 'base64'))) {
+    if (type === 0) {
+      entries.push({});
+    } else {
+      entries[entries.length - 1][type] = data;
+    }
+  }
+  return value ? entries : [];
+}
+
+function createCharacteristic() {
+  return {
+    props: {},
+    value: null,
+    setProps(props) {
+      Object.assign(this.props, props);
+      return this;
+    },
+    updateValue(value) {
+      this.value = value;
+      return this;
+    }
+  };
+}
+
+function createAccessory(events = []) {
+  const hap = {
+    Service: {},
+    Characteristic: {
+      LockControlPoint: 'LockControlPoint',
+      Logs: 'Logs',
+      LockManagementAutoSecurityTimeout: 'LockManagementAutoSecurityTimeout',
+      AdministratorOnlyAccess: 'AdministratorOnlyAccess',
+      LockLastKnownAction: { SECURED_BY_KEYPAD: 4, UNSECURED_BY_KEYPAD: 5, SECURED_REMOTELY: 6, UNSECURED_REMOTELY: 7 },
+      LockCurrentState: { UNSECURED: 0, SECURED: 1, JAMMED: 2, UNKNOWN: 3 },
+      LockTargetState: { UNSECURED: 0, SECURED: 1 },
+      StatusFault: { NO_FAULT: 0, GENERAL_FAULT: 1 }
+    },
+    Access: { READ: 0, WRITE: 1, NOTIFY: 2 },
+    HAPStatus: { INVALID_VALUE_IN_REQUEST: -70410 },
+    HapStatusError,
+    encode,
+    decode
+  };
+
+  const queries = [];
+  const platform = {
+    config: {},
+    log: { info() {}, warn() {}, error() {} },
+    api: { hap, updatePlatformAccessories() {} },
+    eventStore: {
+      record() {},
+      query(deviceId, options) {
+        queries.push(options);
+        return events.filter(event => !options.since || event.time >= options.since);
+      }
+    }
+  };
+
+  const accessory = new LockAccessory(platform, { properties: { name: 'Front Door' } }, { deviceId: 'device-1' });
+  const characteristics = new Map();
+  accessory.lockManagementService = {
+    getCharacteristic(name) {
+      if (!characteristics.has(name)) {
+        characteristics.set(name, createCharacteristic());
+      }
+      return characteristics.get(name);
+    }
+  };
+  accessory.platformAccessory = { context: {} };
+
+  return { accessory, queries, characteristics };
+}
+
+function controlPoint(...items) {
+  return encode(...items).toString('base64');
+}
+
+test('builds the lock management logs from the event history, newest first', () => {
+  const events = [
+    { time: 1751374800000, type: 'unlocked', locked: false, source: 'webhook', method: 'keypad', actor: 'Alice' },
+    { time: 1751371200000, type: 'locked', locked: true, source: 'polling', method: null, actor: null }
+  ];
+  const { accessory, queries } = createAccessory(events);
+
+  const entries = decodeLogs(accessory.encodeLogs());
+
+  assert.deepStrictEqual(queries[0], { types: ['locked', 'unlocked'], since: undefined, limit: 50 });
+  assert.strictEqual(entries.length, 2);
+  assert.strictEqual(entries[0][1].readUInt32LE(0), 1751374800);
+  assert.strictEqual(entries[0][2].toString(), 'Alice');
+  assert.deepStrictEqual(entries[0][3], Buffer.from([5]));
+  assert.strictEqual(entries[0][4].toString(), 'Unlocked (keypad) via webhook');
+  assert.strictEqual(entries[1][2].toString(), 'polling');
+  assert.strictEqual(entries[1][3], undefined);
+  assert.strictEqual(entries[1][4].toString(), 'Locked via polling');
+});
+
+test('returns empty logs without an event history', () => {
+  const { accessory } = createAccessory();
+  accessory.platform.eventStore = null;
+
+  assert.strictEqual(accessory.encodeLogs(), '');
+});
+
+test('reads logs from the time requested through the control point', () => {
+  const { accessory, queries, characteristics } = createAccessory([{ time: 1751374800000, locked: true, source: 'webhook' }]);
+  const time = Buffer.alloc(4);
+  time.writeUInt32LE(1751374900);
+
+  accessory.handleLockControlPoint(controlPoint(0x00, time));
+
+  assert.strictEqual(queries[0].since, 1751374900000);
+  assert.strictEqual(characteristics.get('Logs').value, '');
+});
+
+test('clears the logs without touching the event history', () => {
+  const { accessory, queries } = createAccessory();
+
+  accessory.handleLockControlPoint(controlPoint(0x02, Buffer.alloc(0)));
+
+  assert.ok(accessory.logsClearedAt <= Date.now());
+  assert.strictEqual(accessory.platformAccessory.context.logsClearedAt, accessory.logsClearedAt);
+  assert.strictEqual(queries[0].since, accessory.logsClearedAt);
+});
+
+test('accepts set current time and rejects unknown control point requests', () => {
+  const { accessory } = createAccessory();
+
+  accessory.handleLockControlPoint(controlPoint(0x03, Buffer.alloc(4)));
+
+  for (const value of ['', 'not base64 tlv', controlPoint(0x07, Buffer.from([1]))]) {
+    assert.throws(() => accessory.handleLockControlPoint(value), { hapStatus: -70410 });
+  }
+});
+
+test('limits lock management to admins while administrator only access is on', () => {
+  const { accessory, characteristics } = createAccessory();
+
+  accessory.administratorOnlyAccess = true;
+  accessory.updateAdministratorOnlyAccess();
+
+  for (const name of ['LockControlPoint', 'Logs', 'LockManagementAutoSecurityTimeout', 'AdministratorOnlyAccess']) {
+    assert.deepStrictEqual(characteristics.get(name).props.adminOnlyAccess, [0, 1, 2], name);
+  }
+
+  accessory.administratorOnlyAccess = false;
+  accessory.updateAdministratorOnlyAccess();
+
+  assert.deepStrictEqual(characteristics.get('LockControlPoint').props.adminOnlyAccess, []);
+});
+
+test('shows faults as unknown lock state on locks without sensor services', () => {
+  const { accessory } = createAccessory();
+  accessory.isLocked = true;
+
+  accessory.updateDeviceHealth({ online: true, errors: [{ code: 'device_error', message: 'Motor fault' }] });
+  assert.strictEqual(accessory.getLockCurrentStateValue(), 3);
+  assert.strictEqual(accessory.describeLockState(), 'UNKNOWN');
+
+  accessory.alertService = { getCharacteristic: () => createCharacteristic() };
+  assert.strictEqual(accessory.getLockCurrentStateValue(), 1);
+
+  accessory.alertService = null;
+  accessory.updateDeviceHealth({ errors: [] });
+  assert.strictEqual(accessory.getLockCurrentStateValue(), 1);
+});
+
+test('a new command supersedes the one in progress without waiting for its confirmation', async () => {
+  const { accessory } = createAccessory();
+  const confirmations = [];
+  const sent = [];
+  accessory.platform.seamAPI = {
+    async lockDoor() {
+      sent.push('lock');
+      return { action_attempt_id: `attempt-${sent.length}`, status: 'pending' };
+    },
+    async unlockDoor() {
+      sent.push('unlock');
+      return { action_attempt_id: `attempt-${sent.length}`, status: 'pending' };
+    },
+    waitForActionAttempt() {
+      return new Promise(resolve => confirmations.push(resolve));
+    }
+  };
+  const lockCharacteristics = new Map();
+  accessory.lockService = {
+    getCharacteristic(name) {
+      if (!lockCharacteristics.has(name)) {
+        lockCharacteristics.set(name, createCharacteristic());
+      }
+      return lockCharacteristics.get(name);
+    }
+  };
+  accessory.isLocked = true;
+
+  await accessory.queueLockCommand(false, 'homekit');
+  await accessory.queueLockCommand(true, 'homekit');
+  await new Promise(setImmediate);
+
+  assert.deepStrictEqual(sent, ['unlock', 'lock']);
+  assert.strictEqual(confirmations.length, 2);
+  assert.strictEqual(accessory.getTargetLocked(), true);
+
+  // The superseded unlock fails, the lock keeps the newer target
+  confirmations[0]({ status: 'error', error: { type: 'device_offline' } });
+  await new Promise(setImmediate);
+  assert.strictEqual(accessory.isCommandInProgress, true);
+  assert.strictEqual(accessory.getTargetLocked(), true);
+
+  confirmations[1]({ status: 'success' });
+  await new Promise(setImmediate);
+  assert.strictEqual(accessory.isCommandInProgress, false);
+  assert.strictEqual(accessory.isLocked, true);
+  assert.strictEqual(lockCharacteristics.get(accessory.Characteristic.LockTargetState).value, 1);
+  assert.strictEqual(lockCharacteristics.get(accessory.Characteristic.LockCurrentState).value, 1);
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const MqttClient = require('../src/mqttClient');
+
+function createClient() {
+  const client = new MqttClient({ url: 'mqtt://localhost' });
+  client.written = [];
+  client.isDestroyed = false;
+  client.socket = {
+    write: (data) => client.written.push(data),
+    destroy: () => {
+      client.isDestroyed = true;
+    }
+  };
+  return client;
+}
+
+function collectMessages(client) {
+  const messages = [];
+  client.on('message', (topic, payload, packet) => {
+    messages.push({ topic, payload: payload.toString('utf8'), retain: packet.retain });
+  });
+  return messages;
+}
+
+function encodePublish(client, topic, payload, flags = 0) {
+  return client.encodePacket((3 << 4) | flags, [client.encodeString(topic), Buffer.from(payload)]);
+}
+
+test('decodes a published message', () => {
+  const client = createClient();
+  const messages = collectMessages(client);
+
+  client.handleData(encodePublish(client, 'seam/device-1/set', 'LOCK'));
+
+  assert.deepStrictEqual(messages, [{ topic: 'seam/device-1/set', payload: 'LOCK', retain: false }]);
+});
+
+test('round-trips the retain flag', () => {
+  const client = createClient();
+  const messages = collectMessages(client);
+
+  client.handleData(encodePublish(client, 'seam/device-1/set', 'UNLOCK', 1));
+
+  assert.strictEqual(messages[0].retain, true);
+});
+
+test('round-trips multi-byte remaining lengths', () => {
+  for (const size of [0, 127, 128, 16383, 16384, 200000]) {
+    const client = createClient();
+    const messages = collectMessages(client);
+    const payload = 'x'.repeat(size);
+
+    const packet = encodePublish(client, 'seam/big', payload);
+    client.handleData(packet);
+
+    assert.strictEqual(messages.length, 1, `payload of ${size} bytes`);
+    assert.strictEqual(messages[0].payload.length, size);
+  }
+});
+
+test('reassembles packets split across reads', () => {
+  const client = createClient();
+  const messages = collectMessages(client);
+  const data = Buffer.concat([
+    encodePublish(client, 'seam/a/set', 'LOCK'),
+    encodePublish(client, 'seam/b/set', 'x'.repeat(300))
+  ]);
+
+  for (let i = 0; i < data.length; i++) {
+    client.handleData(data.subarray(i, i + 1));
+  }
+
+  assert.deepStrictEqual(messages.map(message => message.topic), ['seam/a/set', 'seam/b/set']);
+  assert.strictEqual(messages[1].payload.length, 300);
+  assert.strictEqual(client.buffer.length, 0);
+});
+
+test('acknowledges QoS 1 messages and strips the packet identifier', () => {
+  const client = createClient();
+  const messages = collectMessages(client);
+
+  client.handleData(client.encodePacket((3 << 4) | 2, [client.encodeString('seam/a/set'), client.encodeUInt16(42), Buffer.from('LOCK')]));
+
+  assert.deepStrictEqual(messages, [{ topic: 'seam/a/set', payload: 'LOCK', retain: false }]);
+  assert.deepStrictEqual(client.written, [Buffer.from([4 << 4, 2, 0, 42])]);
+});
+
+test('drops the connection on a malformed PUBLISH', () => {
+  const client = createClient();
+  const messages = collectMessages(client);
+  const errors = [];
+  client.on('error', (error) => errors.push(error));
+
+  // Topic length claims more bytes than the packet holds
+  client.handleData(client.encodePacket(3 << 4, [client.encodeUInt16(100), Buffer.from('seam')]));
+
+  assert.strictEqual(messages.length, 0);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(client.isDestroyed, true);
+});
+
+test('encodes CONNECT with will and credentials', () => {
+  const client = new MqttClient({
+    url: 'mqtt://localhost',
+    clientId: 'client',
+    username: 'user',
+    password: 'pass',
+    will: { topic: 'seam/status', payload: 'offline', retain: true }
+  });
+
+  const packet = client.encodeConnect();
+
+  assert.strictEqual(packet[0], 1 << 4);
+  assert.strictEqual(packet[1], packet.length - 2);
+  assert.strictEqual(packet.toString('utf8', 4, 8), 'MQTT');
+  assert.strictEqual(packet[8], 4); // Protocol level
+  assert.strictEqual(packet[9], 0x02 | 0x04 | 0x20 | 0x40 | 0x80);
+  assert.strictEqual(packet.readUInt16BE(10), 60); // Keepalive
+  assert.ok(packet.subarray(12).equals(Buffer.concat(
+    ['client', 'seam/status', 'offline', 'user', 'pass'].map(value => client.encodeString(value))
+  )));
+});
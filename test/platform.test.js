@@ -0,0 +1,125 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SeamPlatform = require('../src/platform');
+
+const log = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createPlatform(config = {}) {
+  const api = {
+    updated: [],
+    unregistered: [],
+    on() {},
+    hap: { uuid: { generate: (value) => `uuid-${value}` } },
+    updatePlatformAccessories(accessories) {
+      api.updated.push(...accessories);
+    },
+    unregisterPlatformAccessories(plugin, platform, accessories) {
+      api.unregistered.push(...accessories);
+    }
+  };
+
+  const platform = new SeamPlatform(log, Object.assign({
+    apiKey: 'key',
+    devices: [{ deviceId: 'device-1' }],
+    history: { enabled: false }
+  }, config), api);
+
+  return { platform, api };
+}
+
+function addCachedAccessory(platform, deviceId, context = {}) {
+  const accessory = { UUID: `uuid-seam-lock-${deviceId}`, displayName: deviceId, context };
+  platform.configureAccessory(accessory);
+  return accessory;
+}
+
+test('keeps unclaimed accessories until the grace period is over', () => {
+  const { platform, api } = createPlatform({ cleanup: { gracePeriod: 60 } });
+  const claimed = addCachedAccessory(platform, 'device-1');
+  const unclaimed = addCachedAccessory(platform, 'device-2');
+
+  platform.reconcileAccessories(['device-1']);
+
+  assert.ok(unclaimed.context.unclaimedSince <= Date.now());
+  assert.strictEqual(claimed.context.unclaimedSince, undefined);
+  assert.deepStrictEqual(api.updated, [unclaimed]);
+  assert.deepStrictEqual(api.unregistered, []);
+
+  // The grace period runs from the first time the accessory was seen unclaimed
+  unclaimed.context.unclaimedSince = Date.now() - 61 * 60 * 1000;
+  platform.reconcileAccessories(['device-1']);
+
+  assert.deepStrictEqual(api.unregistered, [unclaimed]);
+  assert.strictEqual(platform.platformAccessories.has(unclaimed.UUID), false);
+  assert.strictEqual(platform.platformAccessories.has(claimed.UUID), true);
+});
+
+test('cancels the removal of an accessory that comes back', () => {
+  const { platform, api } = createPlatform({ cleanup: { gracePeriod: 60 } });
+  const accessory = addCachedAccessory(platform, 'device-2', { unclaimedSince: Date.now() - 30 * 60 * 1000 });
+
+  platform.reconcileAccessories(['device-2']);
+
+  assert.strictEqual(accessory.context.unclaimedSince, undefined);
+  assert.deepStrictEqual(api.updated, [accessory]);
+  assert.deepStrictEqual(api.unregistered, []);
+});
+
+test('removes unclaimed accessories right away without a grace period', () => {
+  const { platform, api } = createPlatform({ cleanup: { gracePeriod: 0 } });
+  const accessory = addCachedAccessory(platform, 'device-2');
+
+  platform.reconcileAccessories(['device-1']);
+
+  assert.deepStrictEqual(api.unregistered, [accessory]);
+});
+
+test('only reports stale accessories in a dry run', () => {
+  const { platform, api } = createPlatform({ cleanup: { gracePeriod: 0, dryRun: true } });
+  const accessory = addCachedAccessory(platform, 'device-2');
+
+  platform.reconcileAccessories(['device-1']);
+  platform.reconcileAccessories(['device-1']);
+
+  assert.deepStrictEqual(api.unregistered, []);
+  assert.strictEqual(platform.platformAccessories.get(accessory.UUID), accessory);
+});
+
+test('keeps configured devices claimed unless Seam says they do not exist', () => {
+  const { platform, api } = createPlatform({ devices: [{ deviceId: 'device-1' }, { deviceId: 'device-2' }], cleanup: { gracePeriod: 0 } });
+  const failed = addCachedAccessory(platform, 'device-1');
+  const missing = addCachedAccessory(platform, 'device-2');
+  platform.missingDeviceIds.add('device-2');
+
+  platform.reconcileConfiguredAccessories();
+
+  assert.deepStrictEqual(api.unregistered, [missing]);
+  assert.strictEqual(platform.platformAccessories.get(failed.UUID), failed);
+});
+
+test('starts the other subsystems when the webhook server fails to start', async () => {
+  const errors = [];
+  const { platform } = createPlatform();
+  platform.log = Object.assign({}, log, { error: (...args) => errors.push(args.join(' ')) });
+  platform.setupDevice = async () => {};
+  platform.startPolling = () => {};
+  platform.startDiscovery = () => {};
+  platform.startWebhooks = async () => {
+    throw new Error('listen EADDRINUSE: address already in use :::8080');
+  };
+
+  let isMetricsStarted = false;
+  platform.metrics = {
+    start: async () => {
+      isMetricsStarted = true;
+    }
+  };
+
+  await platform.discoverDevices();
+
+  assert.deepStrictEqual(errors, ['Failed to start webhook server: listen EADDRINUSE: address already in use :::8080']);
+  assert.strictEqual(isMetricsStarted, true);
+});
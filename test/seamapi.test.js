@@ -0,0 +1,177 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SeamAPI = require('../src/seamapi');
+
+const log = { info() {}, warn() {}, error() {} };
+
+function createError(properties) {
+  return Object.assign(new Error(properties.code || `HTTP ${properties.statusCode}`), properties);
+}
+
+// SeamAPI whose requests fail with the given errors, then succeed
+function createApi(errors, options = {}) {
+  const api = new SeamAPI('key', log, Object.assign({ retryBaseDelay: 1, retryMaxDelay: 1 }, options));
+  api.sent = [];
+  api._send = async (method, path, data, deadline) => {
+    api.sent.push({ path, deadline });
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return { action_attempt: { action_attempt_id: 'attempt-1', status: 'pending' } };
+  };
+  return api;
+}
+
+test('backs off exponentially with jitter between half and the full delay', (t) => {
+  const api = new SeamAPI('key', log);
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepStrictEqual([0, 1, 2, 3].map(attempt => api.getRetryDelay(new Error('failed'), attempt)), [250, 500, 1000, 2000]);
+
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.deepStrictEqual([0, 1, 2, 3].map(attempt => api.getRetryDelay(new Error('failed'), attempt)), [500, 1000, 2000, 4000]);
+});
+
+test('caps the backoff at the maximum delay', (t) => {
+  const api = new SeamAPI('key', log, { retryBaseDelay: 1000, retryMaxDelay: 5000 });
+
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.strictEqual(api.getRetryDelay(new Error('failed'), 10), 5000);
+
+  Math.random.mock.mockImplementation(() => 0);
+  assert.strictEqual(api.getRetryDelay(new Error('failed'), 10), 2500);
+});
+
+test('honours Retry-After', () => {
+  const api = new SeamAPI('key', log);
+  const error = createError({ statusCode: 429, retryAfter: 3000 });
+
+  assert.strictEqual(api.getRetryDelay(error, 0), 3000);
+  assert.strictEqual(api.getRetryDelay(Object.assign(error, { retryAfter: 0 }), 2), 0);
+});
+
+test('gives up when Retry-After is too long', () => {
+  const api = new SeamAPI('key', log);
+  const error = createError({ statusCode: 429, retryAfter: 5 * 60 * 1000 });
+
+  assert.strictEqual(api.getRetryDelay(error, 0), null);
+});
+
+test('retries commands only when Seam cannot have received them', () => {
+  const api = new SeamAPI('key', log);
+
+  assert.strictEqual(api.isRetryable(createError({ code: 'ECONNREFUSED' }), false), true);
+  assert.strictEqual(api.isRetryable(createError({ code: 'ENOTFOUND' }), false), true);
+  assert.strictEqual(api.isRetryable(createError({ statusCode: 429 }), false), true);
+
+  assert.strictEqual(api.isRetryable(createError({ statusCode: 500 }), false), false);
+  assert.strictEqual(api.isRetryable(createError({ statusCode: 503 }), false), false);
+  assert.strictEqual(api.isRetryable(createError({ code: 'ECONNRESET' }), false), false);
+  assert.strictEqual(api.isRetryable(createError({ code: 'ETIMEDOUT' }), false), false);
+  assert.strictEqual(api.isRetryable(Object.assign(new Error('Request timeout'), { isTimeout: true }), false), false);
+});
+
+test('retries idempotent calls on server errors, timeouts and resets but not client errors', () => {
+  const api = new SeamAPI('key', log);
+
+  assert.strictEqual(api.isRetryable(createError({ statusCode: 500 }), true), true);
+  assert.strictEqual(api.isRetryable(createError({ code: 'ECONNRESET' }), true), true);
+  assert.strictEqual(api.isRetryable(Object.assign(new Error('Request timeout'), { isTimeout: true }), true), true);
+
+  assert.strictEqual(api.isRetryable(createError({ statusCode: 400 }), true), false);
+  assert.strictEqual(api.isRetryable(createError({ statusCode: 404 }), true), false);
+});
+
+test('sends a lock command once when it fails after reaching Seam', async () => {
+  for (const error of [createError({ statusCode: 502 }), createError({ code: 'ECONNRESET' }), Object.assign(new Error('Request timeout'), { isTimeout: true })]) {
+    const api = createApi([error]);
+
+    await assert.rejects(api.lockDoor('device-1'), error);
+    assert.strictEqual(api.sent.length, 1, error.message);
+  }
+});
+
+test('retries a lock command that never reached Seam', async () => {
+  const api = createApi([createError({ code: 'ECONNREFUSED' }), createError({ statusCode: 429, retryAfter: 1 })]);
+
+  const actionAttempt = await api.unlockDoor('device-1');
+
+  assert.strictEqual(actionAttempt.action_attempt_id, 'attempt-1');
+  assert.strictEqual(api.sent.length, 3);
+});
+
+test('retries idempotent calls up to the retry limit', async () => {
+  const api = createApi([500, 500, 500, 500, 500].map(statusCode => createError({ statusCode })), { retries: 3 });
+
+  await assert.rejects(api.getActionAttempt('attempt-1'), { statusCode: 500 });
+  assert.strictEqual(api.sent.length, 4);
+});
+
+test('opens the circuit after consecutive failures and fails fast until the cooldown is over', async () => {
+  const api = createApi([500, 500].map(statusCode => createError({ statusCode })), { retries: 0, circuitBreaker: { threshold: 2, cooldown: 60 } });
+
+  await assert.rejects(api.listWebhooks(), { statusCode: 500 });
+  assert.strictEqual(api.isCircuitOpen, false);
+  await assert.rejects(api.listWebhooks(), { statusCode: 500 });
+  assert.strictEqual(api.isCircuitOpen, true);
+
+  await assert.rejects(api.listWebhooks(), { circuitOpen: true });
+  assert.strictEqual(api.sent.length, 2);
+
+  // Cooldown over, the next request goes out and closes the circuit
+  api.circuitOpenUntil = Date.now() - 1;
+  await api.listWebhooks();
+  assert.strictEqual(api.sent.length, 3);
+  assert.strictEqual(api.isCircuitOpen, false);
+  assert.strictEqual(api.consecutiveFailures, 0);
+});
+
+test('does not count client errors towards the circuit breaker', async () => {
+  const api = createApi([400, 404, 422].map(statusCode => createError({ statusCode })), { circuitBreaker: { threshold: 2 } });
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(api.listWebhooks());
+  }
+
+  assert.strictEqual(api.consecutiveFailures, 0);
+  assert.strictEqual(api.isCircuitOpen, false);
+});
+
+test('stops retrying a command at its deadline', async () => {
+  const api = createApi([createError({ code: 'ECONNREFUSED' }), createError({ code: 'ECONNREFUSED' })], { retryBaseDelay: 1000, retryMaxDelay: 1000 });
+  const deadline = Date.now() + 200;
+
+  await assert.rejects(api.lockDoor('device-1', { deadline }), { code: 'ECONNREFUSED' });
+  assert.deepStrictEqual(api.sent, [{ path: '/locks/lock_door', deadline }]);
+});
+
+test('retries a command while the deadline leaves time for it', async () => {
+  const api = createApi([createError({ code: 'ECONNREFUSED' })]);
+  const deadline = Date.now() + 5000;
+
+  await api.lockDoor('device-1', { deadline });
+  assert.strictEqual(api.sent.length, 2);
+  assert.strictEqual(api.sent[1].deadline, deadline);
+});
+
+test('polls an action attempt within its deadline without logging failed polls as errors', async (t) => {
+  const api = createApi([createError({ statusCode: 500 }), createError({ statusCode: 500 }), createError({ statusCode: 500 })], { retryBaseDelay: 1000, retryMaxDelay: 1000 });
+  const error = t.mock.method(log, 'error');
+  const before = Date.now();
+
+  await assert.rejects(
+    api.waitForActionAttempt({ action_attempt_id: 'attempt-1', status: 'pending' }, 1500, 100),
+    /still pending after 2 seconds/
+  );
+
+  assert.ok(Date.now() - before < 2500);
+  assert.ok(api.sent.length > 1);
+  for (const request of api.sent) {
+    assert.strictEqual(request.path, '/action_attempts/get');
+    assert.ok(request.deadline > before && request.deadline <= before + 1500 + 50);
+  }
+  assert.strictEqual(error.mock.callCount(), 0);
+});
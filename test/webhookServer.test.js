@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const WebhookServer = require('../src/webhookServer');
+
+const SECRET = 'whsec_' + Buffer.from('test-signing-secret').toString('base64');
+
+const platform = {
+  config: {},
+  log: { info() {}, warn() {}, error() {} }
+};
+
+function sign(payload, messageId, timestamp) {
+  const key = Buffer.from(SECRET.substring(6), 'base64');
+  const signature = crypto.createHmac('sha256', key).update(`${messageId}.${timestamp}.${payload}`).digest('base64');
+  return {
+    'svix-id': messageId,
+    'svix-timestamp': String(timestamp),
+    'svix-signature': `v1,${signature}`
+  };
+}
+
+function createServer() {
+  return new WebhookServer(platform, { secret: SECRET });
+}
+
+const payload = JSON.stringify({ event_type: 'lock.locked', device_id: 'device-1' });
+const now = () => Math.floor(Date.now() / 1000);
+
+test('accepts a valid signature', () => {
+  assert.strictEqual(createServer().verifySignature(payload, sign(payload, 'msg_1', now())), true);
+});
+
+test('accepts a valid signature among several during secret rotation', () => {
+  const headers = sign(payload, 'msg_1', now());
+  headers['svix-signature'] = `v1,${Buffer.alloc(32).toString('base64')} ${headers['svix-signature']}`;
+  assert.strictEqual(createServer().verifySignature(payload, headers), true);
+});
+
+test('rejects an expired timestamp', () => {
+  const timestamp = now() - 10 * 60;
+  assert.strictEqual(createServer().verifySignature(payload, sign(payload, 'msg_1', timestamp)), false);
+});
+
+test('rejects a timestamp too far in the future', () => {
+  const timestamp = now() + 10 * 60;
+  assert.strictEqual(createServer().verifySignature(payload, sign(payload, 'msg_1', timestamp)), false);
+});
+
+test('rejects a tampered payload', () => {
+  const headers = sign(payload, 'msg_1', now());
+  const tampered = payload.replace('lock.locked', 'lock.unlocked');
+  assert.strictEqual(createServer().verifySignature(tampered, headers), false);
+});
+
+test('rejects a tampered message ID', () => {
+  const headers = sign(payload, 'msg_1', now());
+  headers['svix-id'] = 'msg_2';
+  assert.strictEqual(createServer().verifySignature(payload, headers), false);
+});
+
+test('rejects a truncated signature', () => {
+  const headers = sign(payload, 'msg_1', now());
+  headers['svix-signature'] = headers['svix-signature'].substring(0, 20);
+  assert.strictEqual(createServer().verifySignature(payload, headers), false);
+});
+
+test('rejects missing signature headers unless signatures are optional', () => {
+  assert.strictEqual(createServer().verifySignature(payload, {}), false);
+
+  const server = new WebhookServer(platform, { secret: SECRET, requireSignature: false });
+  assert.strictEqual(server.verifySignature(payload, {}), true);
+});
+
+test('remembers delivered messages for replay protection, oldest first out', () => {
+  const server = createServer();
+
+  assert.strictEqual(server.isReplay('msg_1'), false);
+  server.rememberMessage('msg_1');
+  assert.strictEqual(server.isReplay('msg_1'), true);
+
+  for (let i = 2; i <= 1001; i++) {
+    server.rememberMessage(`msg_${i}`);
+  }
+
+  assert.strictEqual(server.isReplay('msg_1'), false);
+  assert.strictEqual(server.isReplay('msg_2'), true);
+  assert.strictEqual(server.isReplay('msg_1001'), true);
+});